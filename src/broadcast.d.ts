@@ -0,0 +1,64 @@
+import QuickLRU, { type Options as QuickLRUOptions, type SetOptions } from './index.js'
+
+/**
+The part of `BroadcastChannel` and `MessagePort` that `BroadcastLRU` uses.
+*/
+export interface Channel {
+	postMessage(message: unknown): void
+	addEventListener(type: 'message', listener: (event: {data: unknown}) => void): void
+	removeEventListener(type: 'message', listener: (event: {data: unknown}) => void): void
+}
+
+export interface Options<KeyType, ValueType> extends QuickLRUOptions<KeyType, ValueType> {
+	/**
+	The channel connecting the caches, such as a `BroadcastChannel` with the same name in every thread, or one end of a `MessageChannel`.
+
+	Keys, tags and, with `propagateSets`, values must survive the structured clone algorithm.
+	*/
+	readonly channel: Channel
+
+	/**
+	Send every `set()` to the peers as well, so they store the same value.
+
+	@default false
+
+	Values pass through the `serialize` and `deserialize` options when they are given.
+	*/
+	readonly propagateSets?: boolean
+}
+
+/**
+A `QuickLRU` that keeps its peers in other threads up to date.
+
+`delete()`, `clear()`, `invalidateTag()` and `invalidateTags()`, and `set()` with `propagateSets`, are applied locally and sent over the `channel`. Changes received from a peer are applied without being sent back. Evictions and expirations stay local.
+
+@example
+```
+// In every worker
+import {BroadcastChannel} from 'node:worker_threads';
+import BroadcastLRU from 'quick-lru/broadcast';
+
+const cache = new BroadcastLRU({
+	maxSize: 1000,
+	channel: new BroadcastChannel('users'),
+});
+
+// Removes the key from the caches of all workers
+cache.delete('user:42');
+```
+*/
+export default class BroadcastLRU<KeyType, ValueType> extends QuickLRU<KeyType, ValueType> {
+	constructor(options: Options<KeyType, ValueType>)
+
+	/**
+	The channel the changes are sent over.
+	*/
+	get channel(): Channel
+
+	set(key: KeyType, value: ValueType, options?: SetOptions): this
+
+	/**
+	Stop sending and receiving changes. The channel is left open, as it may be shared.
+	*/
+	close(): void
+}
@@ -0,0 +1,132 @@
+import QuickLRU from './index.js'
+
+// Marks the messages of this module, so a channel can carry other traffic too.
+const messageSource = 'quick-lru'
+
+function isChannel(channel) {
+	return (
+		typeof channel?.postMessage === 'function' &&
+		typeof channel.addEventListener === 'function' &&
+		typeof channel.removeEventListener === 'function'
+	)
+}
+
+export default class BroadcastLRU extends QuickLRU {
+	#channel
+	#propagateSets
+	#serialize
+	#deserialize
+	#receiving = false
+	#closed = false
+	#listener
+
+	constructor(options = {}) {
+		const { channel, propagateSets = false, ...cacheOptions } = options
+		if (!isChannel(channel)) {
+			throw new TypeError(
+				'`channel` must be a `BroadcastChannel` or `MessagePort`',
+			)
+		}
+
+		super(cacheOptions)
+
+		this.#channel = channel
+		this.#propagateSets = Boolean(propagateSets)
+		this.#serialize = cacheOptions.serialize
+		this.#deserialize = cacheOptions.deserialize
+		this.#listener = event => {
+			this.#receive(event.data)
+		}
+
+		channel.addEventListener('message', this.#listener)
+	}
+
+	get channel() {
+		return this.#channel
+	}
+
+	#post(message) {
+		// Changes received from a peer are applied without sending them back.
+		if (!this.#receiving && !this.#closed) {
+			this.#channel.postMessage({ source: messageSource, ...message })
+		}
+	}
+
+	#receive(message) {
+		if (message?.source !== messageSource) {
+			return
+		}
+
+		this.#receiving = true
+		try {
+			switch (message.type) {
+				case 'set': {
+					const { key, value, options } = message
+					this.set(
+						key,
+						this.#deserialize ? this.#deserialize(value, key) : value,
+						options,
+					)
+					break
+				}
+
+				case 'delete': {
+					this.delete(message.key)
+					break
+				}
+
+				case 'clear': {
+					this.clear()
+					break
+				}
+
+				case 'invalidate': {
+					this.invalidateTags(message.tags)
+					break
+				}
+
+				default:
+			}
+		} finally {
+			this.#receiving = false
+		}
+	}
+
+	set(key, value, options) {
+		super.set(key, value, options)
+		if (this.#propagateSets) {
+			this.#post({
+				type: 'set',
+				key,
+				value: this.#serialize ? this.#serialize(value, key) : value,
+				options,
+			})
+		}
+
+		return this
+	}
+
+	delete(key) {
+		const deleted = super.delete(key)
+		this.#post({ type: 'delete', key })
+		return deleted
+	}
+
+	clear() {
+		super.clear()
+		this.#post({ type: 'clear' })
+	}
+
+	invalidateTags(tags) {
+		// Any iterable of tags, which may only be read once.
+		const list = [...tags]
+		const invalidated = super.invalidateTags(list)
+		this.#post({ type: 'invalidate', tags: list })
+		return invalidated
+	}
+
+	close() {
+		this.#channel.removeEventListener('message', this.#listener)
+		this.#closed = true
+	}
+}
@@ -0,0 +1,71 @@
+// Binary min-heap of `{key, expiry}` nodes, ordered by expiry.
+// Nodes are never updated in place: callers push a new node when an expiry
+// changes and skip outdated ones when they come out of the queue.
+export default class ExpiryQueue {
+	#heap = []
+
+	get size() {
+		return this.#heap.length
+	}
+
+	peek() {
+		return this.#heap[0]
+	}
+
+	push(key, expiry) {
+		const heap = this.#heap
+		const node = { key, expiry }
+		let index = heap.length
+		heap.push(node)
+
+		while (index > 0) {
+			const parentIndex = (index - 1) >> 1
+			const parent = heap[parentIndex]
+			if (parent.expiry <= expiry) {
+				break
+			}
+
+			heap[index] = parent
+			index = parentIndex
+		}
+
+		heap[index] = node
+	}
+
+	pop() {
+		const heap = this.#heap
+		const top = heap[0]
+		const last = heap.pop()
+		if (heap.length === 0) {
+			return top
+		}
+
+		let index = 0
+		for (;;) {
+			const leftIndex = index * 2 + 1
+			if (leftIndex >= heap.length) {
+				break
+			}
+
+			const rightIndex = leftIndex + 1
+			const childIndex =
+				rightIndex < heap.length &&
+				heap[rightIndex].expiry < heap[leftIndex].expiry
+					? rightIndex
+					: leftIndex
+			if (heap[childIndex].expiry >= last.expiry) {
+				break
+			}
+
+			heap[index] = heap[childIndex]
+			index = childIndex
+		}
+
+		heap[index] = last
+		return top
+	}
+
+	clear() {
+		this.#heap = []
+	}
+}
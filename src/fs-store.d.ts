@@ -0,0 +1,36 @@
+import type { Store } from './index.js'
+
+/**
+A `Store` that keeps one JSON file per record in a directory. Node.js only.
+
+Keys and values must be JSON-safe. Files are named after a hash of the key, and each write goes through a temporary file so readers never see a partial record. The directory is created on the first write.
+
+@example
+```
+import WriteBehindLRU from 'quick-lru/write-behind';
+import FileSystemStore from 'quick-lru/fs-store';
+
+const lru = new WriteBehindLRU({
+	maxSize: 1000,
+	store: new FileSystemStore('.cache/chunks'),
+	flushInterval: 1000,
+});
+
+await lru.restore();
+```
+*/
+export default class FileSystemStore<KeyType = unknown, StoredValueType = unknown>
+	implements Store<KeyType, StoredValueType>
+{
+	constructor(directory: string)
+
+	/**
+	The directory the records are stored in.
+	*/
+	get directory(): string
+
+	get(key: KeyType): Promise<StoredValueType | undefined>
+	set(key: KeyType, value: StoredValueType): Promise<void>
+	delete(key: KeyType): Promise<void>
+	keys(): Promise<KeyType[]>
+}
@@ -0,0 +1,96 @@
+import { createHash, randomUUID } from 'node:crypto'
+import {
+	mkdir,
+	readFile,
+	readdir,
+	rename,
+	rm,
+	writeFile,
+} from 'node:fs/promises'
+import path from 'node:path'
+
+const extension = '.json'
+
+// One JSON file per entry, named after a hash of the key so any JSON-safe key
+// maps to a valid file name. The key is stored inside the file for `keys()`.
+export default class FileSystemStore {
+	#directory
+	#ready
+
+	constructor(directory) {
+		if (typeof directory !== 'string' || directory.length === 0) {
+			throw new TypeError('`directory` must be a non-empty string')
+		}
+
+		this.#directory = directory
+	}
+
+	get directory() {
+		return this.#directory
+	}
+
+	#ensureDirectory() {
+		this.#ready ??= mkdir(this.#directory, { recursive: true })
+		return this.#ready
+	}
+
+	#file(key) {
+		const hash = createHash('sha256').update(JSON.stringify(key)).digest('hex')
+		return path.join(this.#directory, hash + extension)
+	}
+
+	async #read(file) {
+		try {
+			return JSON.parse(await readFile(file, 'utf8'))
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return
+			}
+
+			throw error
+		}
+	}
+
+	async get(key) {
+		const entry = await this.#read(this.#file(key))
+		return entry?.value
+	}
+
+	async set(key, value) {
+		await this.#ensureDirectory()
+		const file = this.#file(key)
+		// Write to a temporary file first so readers never see a partial entry.
+		const temporaryFile = `${file}.${randomUUID()}.tmp`
+		await writeFile(temporaryFile, JSON.stringify({ key, value }))
+		await rename(temporaryFile, file)
+	}
+
+	async delete(key) {
+		await rm(this.#file(key), { force: true })
+	}
+
+	async keys() {
+		let files
+		try {
+			files = await readdir(this.#directory)
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return []
+			}
+
+			throw error
+		}
+
+		const keys = []
+		for (const file of files) {
+			if (file.endsWith(extension)) {
+				const entry = await this.#read(path.join(this.#directory, file))
+				if (entry) {
+					keys.push(entry.key)
+				}
+			}
+		}
+
+		return keys
+	}
+}
@@ -1,3 +1,200 @@
+/**
+Why an item was evicted from the cache.
+
+- `'evict'`: Dropped because of LRU pressure (`maxSize` or `maxWeight`) or a manual `evict()` call.
+- `'expire'`: Dropped because its `maxAge` has passed.
+- `'resize'`: Dropped by `resize()`.
+- `'invalidate'`: Dropped by `invalidateTag()` or `invalidateTags()`.
+*/
+export type EvictionReason = 'evict' | 'expire' | 'resize' | 'invalidate'
+
+/**
+How the cache picks the items to evict.
+
+- `'lru'`: Least recently used, with the two-generation algorithm (or a single recency-ordered map in `strict` mode).
+- `'slru'`: Segmented LRU. New items are put on probation and only move to a protected segment, which takes up 80% of the cache, when they are read again. Items on probation are evicted first.
+- `'lfu'`: Least frequently used, with ties broken by recency. Access counts are halved periodically, so items that used to be popular eventually make room.
+- `'tinylfu'`: W-TinyLFU. New items go through a small LRU window and are only admitted into a segmented LRU when they were seen more often than the item they would push out. Access frequencies are estimated with a compact sketch that also remembers recently evicted keys.
+*/
+export type EvictionPolicy = 'lru' | 'slru' | 'lfu' | 'tinylfu'
+
+/**
+Why an item was removed from the cache.
+
+In addition to the `EvictionReason`s:
+
+- `'delete'`: Removed by `delete()`.
+- `'clear'`: Removed by `clear()`.
+- `'overwrite'`: Replaced by `set()` with a different value.
+*/
+export type RemovalReason = EvictionReason | 'delete' | 'clear' | 'overwrite'
+
+/**
+A plain, JSON-safe snapshot of a cache item, as returned by `dump()`.
+*/
+export interface SnapshotRecord<KeyType, SerializedValueType = unknown> {
+	key: KeyType
+
+	/**
+	The value, after passing through the `serialize` option when it is given.
+	*/
+	value: SerializedValueType
+
+	/**
+	When the item expires, as a time of the cache's `now` clock, or `null` when it never expires.
+	*/
+	expiresAt: number | null
+
+	/**
+	The item's `maxIdle`, when it has one.
+	*/
+	maxIdle?: number
+
+	/**
+	The item's tags, when it has any.
+	*/
+	tags?: unknown[]
+}
+
+/**
+An item with the metadata the cache keeps about it, as returned by `getEntry()`, `peekEntry()` and `entriesWithMetadata()`.
+
+Times are of the cache's `now` clock.
+*/
+export interface EntryMetadata<KeyType, ValueType> {
+	key: KeyType
+	value: ValueType
+
+	/**
+	When the item expires, or `null` when it never expires. With `maxIdle`, this is the current idle deadline.
+	*/
+	expiresAt: number | null
+
+	/**
+	When the item was last set. Only recorded with the `trackTimes` option.
+	*/
+	createdAt: number | undefined
+
+	/**
+	When the item was last read by `get()` or `fetch()`, or set. Only recorded with the `trackTimes` option.
+	*/
+	lastAccessedAt: number | undefined
+
+	/**
+	Whether the item is in the recent generation or in the old one, which is evicted first. Always `'recent'` in `strict` mode.
+	*/
+	generation: 'recent' | 'old'
+}
+
+/**
+Produces the value of a missing item.
+
+The `signal` is aborted when every caller waiting for the value has given up through its own `signal` or `timeout`. The result of an aborted call is never stored, and neither is the result of a call during which the key was set, deleted, invalidated or cleared.
+*/
+export type Loader<KeyType, ValueType> = (
+	key: KeyType,
+	options: {signal: AbortSignal}
+) => ValueType | PromiseLike<ValueType>
+
+/**
+Options for `fetch()`.
+*/
+export interface FetchOptions {
+	/**
+	Stop waiting when the signal is aborted. The returned promise then rejects with the signal's reason.
+
+	The shared `loader` call is only aborted once all callers waiting for it have stopped waiting.
+	*/
+	signal?: AbortSignal
+
+	/**
+	Stop waiting after this many milliseconds, like an aborted `signal`. The returned promise then rejects with a `TimeoutError` `DOMException`.
+	*/
+	timeout?: number
+}
+
+/**
+Per-item options for `set()`.
+*/
+export interface SetOptions {
+	/**
+	Override the `maxAge` option for this item.
+	*/
+	maxAge?: number
+
+	/**
+	Override the `maxIdle` option for this item.
+	*/
+	maxIdle?: number
+
+	/**
+	Tags to invalidate the item by with `invalidateTag()` and `invalidateTags()`. Tags are compared like `Map` keys.
+	*/
+	tags?: readonly unknown[]
+}
+
+/**
+An asynchronous key-value storage backend, such as `MemoryStore` or `FileSystemStore`.
+
+Stored values are plain, JSON-safe objects.
+*/
+export interface Store<KeyType, StoredValueType = unknown> {
+	get(key: KeyType): Promise<StoredValueType | undefined>
+	set(key: KeyType, value: StoredValueType): Promise<void>
+	delete(key: KeyType): Promise<void>
+	keys(): Promise<Iterable<KeyType>>
+}
+
+/**
+Counters collected when the `trackStats` option is enabled.
+*/
+export interface Stats {
+	/**
+	Lookups by `get()`, `fetch()`, `has()` and `peek()` that found a live item.
+	*/
+	hits: number
+
+	/**
+	Lookups by `get()`, `fetch()`, `has()` and `peek()` that found no item, or an expired one.
+	*/
+	misses: number
+
+	/**
+	Calls to `set()`.
+	*/
+	sets: number
+
+	/**
+	Calls to `set()` that replaced an existing item.
+	*/
+	overwrites: number
+
+	/**
+	Items evicted because of LRU pressure (`maxSize` or `maxWeight`).
+	*/
+	evictions: number
+
+	/**
+	Items removed because their `maxAge` or `maxIdle` passed.
+	*/
+	expirations: number
+
+	/**
+	Items evicted by `evict()`.
+	*/
+	manualEvictions: number
+
+	/**
+	Lookups served by a value brought back by `weakRetention`. They count as hits as well.
+	*/
+	resurrections: number
+
+	/**
+	`hits / (hits + misses)`, or 0 before the first lookup.
+	*/
+	hitRatio: number
+}
+
 export interface Options<KeyType, ValueType> {
 	/**
 	The maximum number of milliseconds an item should remain in the cache.
@@ -11,23 +208,220 @@ export interface Options<KeyType, ValueType> {
 	*/
 	readonly maxAge?: number
 
+	/**
+	The maximum number of milliseconds an item should remain in the cache without being read.
+
+	@default Infinity
+
+	Every `get()` pushes the item's idle deadline forward, while `peek()`, `has()` and iteration leave it alone. When combined with `maxAge`, the item expires at whichever deadline comes first.
+
+	Individual idle expiration of an item can be specified with the `set(key, value, {maxIdle})` method.
+	*/
+	readonly maxIdle?: number
+
 	/**
 	The target maximum number of items before evicting the least recently used items.
 
 	__Note:__ This package uses an [algorithm](https://github.com/sindresorhus/quick-lru#algorithm) which maintains between `maxSize` and `2 × maxSize` items for performance reasons. The cache may temporarily contain up to twice the specified size due to the dual-cache design that avoids expensive delete operations.
+
+	Use the `strict` option when the cache must never hold more than `maxSize` items.
+
+	Can be omitted when `maxWeight` is given, in which case only the total weight is bounded.
+	*/
+	readonly maxSize?: number
+
+	/**
+	Hold exactly up to `maxSize` items, evicting the single least recently used item whenever a new one does not fit.
+
+	@default false
+
+	Trades a little speed for a hard capacity guarantee: every read moves the item to the end of a single recency-ordered map instead of relying on the two-generation algorithm. `size` is then exact, and `entriesAscending()` and `entriesDescending()` follow the true recency order.
+	*/
+	readonly strict?: boolean
+
+	/**
+	The eviction policy.
+
+	@default 'lru'
+
+	Any policy other than `'lru'` implies `strict`, so the cache holds exactly up to `maxSize` items and the policy chooses among all of them. `'tinylfu'` requires a finite `maxSize`, and may evict a newly added item right away when it is not expected to be read as often as the ones already in the cache.
+
+	Recency-based eviction lets a one-off scan over many keys push out a small set of items that are read all the time. The other policies protect such items.
+	*/
+	readonly policy?: EvictionPolicy
+
+	/**
+	Derive the identity of a key, so that structurally equal keys refer to the same item.
+
+	By default, keys are compared like `Map` keys, so two equal objects are two different keys. With `keyHash`, items are stored under the returned value instead, which should be a primitive such as a string. Iteration, `dump()` and the callbacks still receive the original key objects, and the latest key passed to `set()` is the one kept.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({
+		maxSize: 1000,
+		keyHash: ({refName, start, end}) => `${refName}:${start}-${end}`,
+	});
+
+	lru.set({refName: 'chr1', start: 0, end: 100}, 'features');
+
+	lru.get({refName: 'chr1', start: 0, end: 100});
+	//=> 'features'
+	```
+	*/
+	readonly keyHash?: (key: KeyType) => unknown
+
+	/**
+	Tell keys with the same `keyHash` apart. Requires `keyHash`.
+
+	Only needed when `keyHash` may return the same value for different keys. Reads with a colliding key miss, and setting one replaces the existing item, which is reported to `onRemove` with the `'overwrite'` reason.
+	*/
+	readonly keyEquals?: (storedKey: KeyType, key: KeyType) => boolean
+
+	/**
+	The maximum total weight of the stored items, as measured by `sizeCalculation`.
+
+	@default Infinity
+
+	When adding an item pushes the total weight over `maxWeight`, the least recently used items are evicted until it fits again. Unlike `maxSize`, this is a hard limit. An item that is heavier than `maxWeight` on its own is not stored, and any previous value for its key is removed.
 	*/
-	readonly maxSize: number
+	readonly maxWeight?: number
 
 	/**
-	Called right before an item is evicted from the cache due to LRU pressure, TTL expiration, or manual eviction via `evict()`.
+	Measure the weight of an item. Only used when `maxWeight` is set.
+
+	@default estimateSize
+
+	Must return a number greater than or equal to 0, typically the approximate size of the value in bytes.
+	*/
+	sizeCalculation?: (value: ValueType, key: KeyType) => number
+
+	/**
+	Called right before an item is evicted from the cache due to LRU pressure, TTL expiration, manual eviction via `evict()`, or tag invalidation.
 
 	Useful for side effects or for items like object URLs that need explicit cleanup (`revokeObjectURL`).
 
-	__Note:__ This callback is not called for manual removals via `delete()` or `clear()`. It fires for automatic evictions and manual evictions via `evict()`.
+	__Note:__ This callback is not called for manual removals via `delete()` or `clear()`, or when `set()` overwrites an item. It fires for automatic evictions and manual evictions via `evict()`. A value that `set()` replaced with a different one is still passed to it, with the `'evict'` reason, once it is evicted from the old generation. Use `onRemove` to be notified of every removal.
+	*/
+	onEviction?: (key: KeyType, value: ValueType, reason: EvictionReason) => void
+
+	/**
+	Called right before an item is removed from the cache for any reason, including `delete()`, `clear()` and `set()` overwriting it with a different value.
+
+	Prefer this over `onEviction` for releasing resources held by the values, since every value that leaves the cache passes through it exactly once.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({
+		maxSize: 100,
+		onRemove(key, url, reason) {
+			URL.revokeObjectURL(url);
+		},
+	});
+	```
+	*/
+	onRemove?: (key: KeyType, value: ValueType, reason: RemovalReason) => void
+
+	/**
+	Load an item that is missing from the cache. Used by `fetch()` when it is called without a loader, and for the background reloads of `allowStale` and `refreshAhead`, which store the new value with the `maxAge`, `maxIdle` and `tags` of the item it replaces.
+	*/
+	loader?: Loader<KeyType, ValueType>
+
+	/**
+	Let `get()` and `fetch()` return an expired item one last time instead of `undefined`.
+
+	@default false
+
+	The expired item is removed as usual, and when a `loader` is available it is called in the background to replace it. Until the reload finishes, `get()` returns `undefined` for that key, while `fetch()` waits for the reload.
+	*/
+	readonly allowStale?: boolean
+
+	/**
+	Start reloading an item in the background when it is read by `get()` or `fetch()` and has at most this many milliseconds left to live.
+
+	The current value keeps being returned until the reload finishes. Requires a `loader`, and only applies to items with a `maxAge`.
+	*/
+	readonly refreshAhead?: number
+
+	/**
+	Remove expired items as soon as they expire instead of waiting for them to be read.
+
+	@default false
+
+	Keeps the items with a `maxAge` in an expiry-ordered index and runs `purgeStale()` on a timer scheduled for the next expiry. The timer is `unref`'d, so it does not keep a Node.js process alive.
+	*/
+	readonly ttlAutopurge?: boolean
+
+	/**
+	Collect hit, miss and eviction counters, available from `stats()`.
+
+	@default false
+
+	Disabled by default to keep lookups as fast as possible.
+	*/
+	readonly trackStats?: boolean
+
+	/**
+	Record when each item was set and last read, available as `createdAt` and `lastAccessedAt` from `getEntry()`, `peekEntry()` and `entriesWithMetadata()`.
+
+	@default false
+
+	Disabled by default, since it reads the clock on every `set()` and `get()`.
+	*/
+	readonly trackTimes?: boolean
+
+	/**
+	Keep evicted object values behind a `WeakRef`, and bring them back into the cache when they are read by `get()` or `fetch()` before they are garbage collected.
+
+	@default false
+
+	Useful when evicted values are often still used elsewhere, so a miss does not have to load them again. Only items evicted because of `maxSize`, `maxWeight`, `evict()` or `resize()` are retained, with the expiry and tags they had. Setting, deleting or invalidating the key drops its retained value, and so does `clear()`. `deleteWhere()` and `evictWhere()` neither retain what they remove nor pass retained values to their predicate. A value that comes back is stored through `set()`.
+
+	At most `maxSize` values are retained, dropping the ones evicted first. Pass a number instead of `true` to set another limit, which is required when `maxSize` is not finite.
+	*/
+	readonly weakRetention?: boolean | number
+
+	/**
+	The clock used for every expiry computation, returning the current time in milliseconds.
+
+	@default () => Math.floor(performance.timeOrigin + performance.now())
+
+	The default starts at the wall-clock time when the process started and then advances monotonically, so expiry is not affected when the system time is changed. Snapshots from `dump()` and `load()` store times of this clock, so caches that share snapshots should use the same kind of clock.
+
+	@example
+	```
+	let time = 0;
+	const lru = new QuickLRU({maxSize: 100, maxAge: 1000, now: () => time});
+
+	lru.set('🦄', '🌈');
+	time = 1000;
+	lru.has('🦄');
+	//=> false
+	```
+	*/
+	readonly now?: () => number
+
+	/**
+	Convert a value into something JSON-safe for `dump()`.
+	*/
+	serialize?: (value: ValueType, key: KeyType) => unknown
+
+	/**
+	Convert a value produced by `serialize` back when it is restored by `load()`.
 	*/
-	onEviction?: (key: KeyType, value: ValueType) => void
+	deserialize?: (value: any, key: KeyType) => ValueType
 }
 
+/**
+Estimate the size of a value in bytes. This is the default `sizeCalculation`.
+
+Strings count two bytes per UTF-16 code unit, and `ArrayBuffer`s, typed arrays and `DataView`s count their `byteLength`. Any other value counts as 1.
+*/
+export function estimateSize(value: unknown): number
+
 export default class QuickLRU<KeyType, ValueType>
 	implements Iterable<[KeyType, ValueType]>
 {
@@ -58,11 +452,13 @@ export default class QuickLRU<KeyType, ValueType>
 	/**
 	Set an item. Returns the instance.
 
-	Individual expiration of an item can be specified with the `maxAge` option. If not specified, the global `maxAge` value will be used in case it is specified in the constructor; otherwise the item will never expire.
+	Individual expiration of an item can be specified with the `maxAge` and `maxIdle` options. If not specified, the global values will be used in case they are specified in the constructor; otherwise the item will never expire.
+
+	Setting an item again replaces its tags.
 
 	@returns The cache instance.
 	*/
-	set(key: KeyType, value: ValueType, options?: { maxAge?: number }): this
+	set(key: KeyType, value: ValueType, options?: SetOptions): this
 
 	/**
 	Get an item.
@@ -71,6 +467,50 @@ export default class QuickLRU<KeyType, ValueType>
 	*/
 	get(key: KeyType): ValueType | undefined
 
+	/**
+	Get an item, calling `loader` to produce it when it is not in the cache.
+
+	Concurrent calls for the same missing key share a single pending `loader` call. Only the resolved value is stored; when `loader` rejects, nothing is cached and the next call tries again.
+
+	@param loader - Defaults to the `loader` option, which is also used when `options` are passed in its place.
+
+	@returns A promise for the stored or loaded item.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({maxSize: 1000});
+
+	const [a, b] = await Promise.all([
+		lru.fetch('🦄', async key => loadRemote(key)),
+		lru.fetch('🦄', async key => loadRemote(key)),
+	]);
+	// `loadRemote` was only called once
+	```
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({
+		maxSize: 1000,
+		loader: async (key, {signal}) => {
+			const response = await fetch(`https://example.com/${key}`, {signal});
+			return response.json();
+		},
+	});
+
+	const controller = new AbortController();
+	const value = lru.fetch('🦄', {signal: controller.signal, timeout: 5000});
+
+	// The user navigated away
+	controller.abort();
+	```
+	*/
+	fetch(key: KeyType, loader?: Loader<KeyType, ValueType>, options?: FetchOptions): Promise<ValueType>
+	fetch(key: KeyType, options: FetchOptions): Promise<ValueType>
+
 	/**
 	Check if an item exists.
 	*/
@@ -83,6 +523,24 @@ export default class QuickLRU<KeyType, ValueType>
 	*/
 	peek(key: KeyType): ValueType | undefined
 
+	/**
+	Get an item, or set it to `value` when it does not exist or is expired.
+
+	Works like `Map#getOrInsert()`: an existing item is read like with `get()`, so it is marked as recently used.
+
+	@returns The existing value, or `value`.
+	*/
+	getOrInsert(key: KeyType, value: ValueType): ValueType
+
+	/**
+	Get an item, or set it to the result of `callback` when it does not exist or is expired.
+
+	Works like `Map#getOrInsertComputed()`: `callback` is only called when there is no live item, and an existing item is read like with `get()`.
+
+	@returns The existing value, or the result of `callback`.
+	*/
+	getOrInsertComputed(key: KeyType, callback: (key: KeyType) => ValueType): ValueType
+
 	/**
 	Delete an item.
 
@@ -101,34 +559,236 @@ export default class QuickLRU<KeyType, ValueType>
 	- Does not mark the item as recently used.
 	- Does not trigger lazy expiration or remove the entry when it is expired.
 	- Returns `Infinity` if the item has no expiration.
+	- Reports whichever of the `maxAge` and `maxIdle` deadlines is nearer.
 	- May return a negative number if the item is already expired but not yet lazily removed.
 
 	@returns Remaining time to live in milliseconds when set, `Infinity` when there is no expiration, or `undefined` when the item does not exist.
 	*/
 	expiresIn(key: KeyType): number | undefined
 
+	/**
+	Get an item with its metadata. Like `peekEntry()`, it has no effect on the item: it is not marked as recently used, its idle deadline does not move, and no lookup is counted in `stats()`.
+
+	@returns The entry, or `undefined` when the item does not exist or is expired.
+	*/
+	getEntry(key: KeyType): EntryMetadata<KeyType, ValueType> | undefined
+
+	/**
+	Get an item with its metadata, without marking it as recently used, moving its idle deadline, removing it when it is expired, or counting a lookup in `stats()`.
+
+	@returns The entry, or `undefined` when the item does not exist or is expired.
+	*/
+	peekEntry(key: KeyType): EntryMetadata<KeyType, ValueType> | undefined
+
+	/**
+	Iterable for all items with their metadata, starting with the oldest. Like `peekEntry()`, it has no effect on the items, and expired ones are skipped.
+	*/
+	entriesWithMetadata(): IterableIterator<EntryMetadata<KeyType, ValueType>>
+
+	/**
+	Remove all expired items, calling `onEviction` for each of them.
+
+	Expiration is otherwise lazy: expired items are only removed when they are read, or on their way out of the cache.
+
+	@returns The number of removed items.
+	*/
+	purgeStale(): number
+
+	/**
+	Delete every item for which `predicate` returns `true`, calling `onRemove` with the `'delete'` reason for each of them.
+
+	Visits each item once, from least to most recently used. Expired items are removed without being passed to `predicate`.
+
+	@returns The number of deleted items.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({maxSize: 1000});
+
+	lru.deleteWhere(session => session.closed);
+	```
+	*/
+	deleteWhere(predicate: (value: ValueType, key: KeyType) => boolean): number
+
+	/**
+	Evict every item for which `predicate` returns `true`, calling `onEviction` with the `'evict'` reason for each of them.
+
+	Works like `deleteWhere()`, and the evicted items count towards `manualEvictions` in `stats()`.
+
+	@returns The number of evicted items.
+	*/
+	evictWhere(predicate: (value: ValueType, key: KeyType) => boolean): number
+
+	/**
+	Remove every item tagged with `tag`, calling `onEviction` for each of them with the `'invalidate'` reason.
+
+	Only the tagged items are visited. Expired items are reported with the `'expire'` reason instead.
+
+	@returns The number of invalidated items.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({maxSize: 1000});
+
+	lru.set('track1:chr1:0-100', features, {tags: ['track1']});
+	lru.set('track2:chr1:0-100', otherFeatures, {tags: ['track2']});
+
+	lru.invalidateTag('track1');
+	//=> 1
+	```
+	*/
+	invalidateTag(tag: unknown): number
+
+	/**
+	Remove every item tagged with any of `tags`, like `invalidateTag()`.
+
+	@returns The number of invalidated items.
+	*/
+	invalidateTags(tags: Iterable<unknown>): number
+
 	/**
 	Update the `maxSize` in-place, discarding items as necessary. Insertion order is mostly preserved, though this is not a strong guarantee.
 
-	Useful for on-the-fly tuning of cache sizes in live systems.
+	Useful for on-the-fly tuning of cache sizes in live systems. Shrinking only visits the discarded items, and expired ones among them are reported with the `'expire'` reason.
 	*/
 	resize(maxSize: number): void
 
 	/**
 	The stored item count.
+
+	Constant-time. Expired items that have not been purged yet are included, as are items over `maxSize` that are still waiting to be evicted, so it is capped at `maxSize`. Use `count({includeStale: false})` to leave expired items out.
 	*/
 	get size(): number
 
+	/**
+	Count the stored items.
+
+	@param options.includeStale - Whether to include expired items that have not been purged yet. Defaults to `true`, which is the same as `size`. Leaving them out visits every item, but does not remove any of them.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({maxSize: 10});
+
+	lru.set('a', 1, {maxAge: 10});
+	lru.set('b', 2);
+
+	// After 10 ms
+	lru.count();
+	//=> 2
+
+	lru.count({includeStale: false});
+	//=> 1
+	```
+	*/
+	count(options?: {readonly includeStale?: boolean}): number
+
 	/**
 	The set max size.
 	*/
 	get maxSize(): number
 
+	/**
+	The current time of the `now` clock.
+	*/
+	now(): number
+
+	/**
+	Whether the cache runs in `strict` mode.
+	*/
+	get strict(): boolean
+
+	/**
+	The eviction `policy`.
+	*/
+	get policy(): EvictionPolicy
+
 	/**
 	The set max age.
 	*/
 	get maxAge(): number
 
+	/**
+	The set max idle time.
+	*/
+	get maxIdle(): number
+
+	/**
+	The total weight of the stored items. Always 0 when `maxWeight` is not set.
+	*/
+	get weight(): number
+
+	/**
+	The set max weight.
+	*/
+	get maxWeight(): number
+
+	/**
+	Get the counters collected since the cache was created or `resetStats()` was called. All counters are 0 unless the `trackStats` option is enabled.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({maxSize: 1000, trackStats: true});
+
+	lru.set('🦄', '🌈');
+	lru.get('🦄');
+	lru.get('🐴');
+
+	lru.stats().hitRatio;
+	//=> 0.5
+	```
+	*/
+	stats(): Stats
+
+	/**
+	Reset all the counters returned by `stats()` to 0.
+	*/
+	resetStats(): void
+
+	/**
+	Get a JSON-safe snapshot of the cache, starting with the oldest item (ascending in recency).
+
+	Expired items are left out, but unlike iterating the cache, they are not removed and `onEviction` is not called.
+
+	@example
+	```
+	import QuickLRU from 'quick-lru';
+
+	const lru = new QuickLRU({maxSize: 1000});
+	lru.set('🦄', '🌈', {maxAge: 60_000});
+
+	localStorage.setItem('cache', JSON.stringify(lru.dump()));
+
+	// Later
+	const restored = QuickLRU.from(JSON.parse(localStorage.getItem('cache')), {maxSize: 1000});
+	```
+	*/
+	dump(): SnapshotRecord<KeyType>[]
+
+	/**
+	Add the items of a snapshot created by `dump()`, keeping their recency order and expiry times.
+
+	Records that have already expired are skipped. Existing items are kept, except for those with the same key as a record. The idle deadline of items with a `maxIdle` restarts when they are loaded.
+
+	@returns The cache instance.
+	*/
+	load(records: Iterable<SnapshotRecord<KeyType>>): this
+
+	/**
+	Create a cache and `load()` a snapshot into it.
+	*/
+	static from<KeyType, ValueType>(
+		records: Iterable<SnapshotRecord<KeyType>>,
+		options: Options<KeyType, ValueType>
+	): QuickLRU<KeyType, ValueType>
+
 	/**
 	Iterable for all the keys.
 	*/
@@ -168,7 +828,7 @@ export default class QuickLRU<KeyType, ValueType>
 
 	@param count - The number of items to evict. Defaults to 1.
 
-	It will always keep at least one item in the cache.
+	It will always keep at least one item in the cache. Only the evicted items are visited, so the cost does not depend on the size of the cache.
 
 	@example
 	```
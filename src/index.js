@@ -1,25 +1,231 @@
+import ExpiryQueue from './expiry-queue.js'
+import createPolicy, { policyNames } from './policies.js'
+
+// Wall-clock time when the process started, advanced by a monotonic clock, so
+// that expiry times are not affected by later changes to the system time.
+// Whole milliseconds, like `Date.now()`.
+const monotonicNow = () =>
+	Math.floor(globalThis.performance.timeOrigin + globalThis.performance.now())
+
+// The number of items shown when a cache is inspected.
+const inspectLimit = 10
+
+const createStats = () => ({
+	hits: 0,
+	misses: 0,
+	sets: 0,
+	overwrites: 0,
+	evictions: 0,
+	expirations: 0,
+	manualEvictions: 0,
+	resurrections: 0,
+})
+
+export function estimateSize(value) {
+	if (typeof value === 'string') {
+		return value.length * 2
+	}
+
+	if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+		return value.byteLength
+	}
+
+	return 1
+}
+
 export default class QuickLRU extends Map {
 	#size = 0
+	// Keys in `#oldCache` that were set again and now also live in `#cache`.
+	#shadowed = 0
+	#weight = 0
 	#cache = new Map()
 	#oldCache = new Map()
 	#maxSize
+	#strict
+	#keyHash
+	#keyEquals
+	#policy
+	#policyName
 	#maxAge
+	#maxIdle
+	#maxWeight
+	#sizeCalculation
 	#onEviction
+	#onRemove
+	#loader
+	#allowStale
+	#refreshAhead
+	#serialize
+	#deserialize
+	#stats
+	#trackTimes
+	#expiryQueue
+	#purgeTimer
+	#purgeAt
+	#pending = new Map()
+	#tags = new Map()
+	#now
+	#ghosts
+	#ghostTags = new Map()
+	#ghostRegistry
+	#maxGhosts
+	#resurrecting = false
 
 	constructor(options = {}) {
 		super()
 
-		if (!(options.maxSize && options.maxSize > 0)) {
+		const hasMaxWeight = options.maxWeight !== undefined
+		if (hasMaxWeight && !(options.maxWeight > 0)) {
+			throw new TypeError('`maxWeight` must be a number greater than 0')
+		}
+
+		if (
+			(options.maxSize !== undefined || !hasMaxWeight) &&
+			!(options.maxSize && options.maxSize > 0)
+		) {
 			throw new TypeError('`maxSize` must be a number greater than 0')
 		}
 
+		if (
+			options.sizeCalculation !== undefined &&
+			typeof options.sizeCalculation !== 'function'
+		) {
+			throw new TypeError('`sizeCalculation` must be a function')
+		}
+
+		if (options.policy !== undefined && !policyNames.includes(options.policy)) {
+			throw new TypeError(
+				'`policy` must be one of `lru`, `slru`, `lfu` or `tinylfu`',
+			)
+		}
+
+		if (
+			options.policy === 'tinylfu' &&
+			!(options.maxSize > 0 && options.maxSize !== Number.POSITIVE_INFINITY)
+		) {
+			throw new TypeError('`maxSize` must be finite for the `tinylfu` policy')
+		}
+
+		if (
+			options.keyHash !== undefined &&
+			typeof options.keyHash !== 'function'
+		) {
+			throw new TypeError('`keyHash` must be a function')
+		}
+
+		if (options.keyEquals !== undefined) {
+			if (typeof options.keyEquals !== 'function') {
+				throw new TypeError('`keyEquals` must be a function')
+			}
+
+			if (options.keyHash === undefined) {
+				throw new TypeError('`keyEquals` requires `keyHash`')
+			}
+		}
+
 		if (typeof options.maxAge === 'number' && options.maxAge === 0) {
 			throw new TypeError('`maxAge` must be a number greater than 0')
 		}
 
-		this.#maxSize = options.maxSize
+		if (options.maxIdle !== undefined && !(options.maxIdle > 0)) {
+			throw new TypeError('`maxIdle` must be a number greater than 0')
+		}
+
+		if (options.loader !== undefined && typeof options.loader !== 'function') {
+			throw new TypeError('`loader` must be a function')
+		}
+
+		if (
+			options.serialize !== undefined &&
+			typeof options.serialize !== 'function'
+		) {
+			throw new TypeError('`serialize` must be a function')
+		}
+
+		if (
+			options.deserialize !== undefined &&
+			typeof options.deserialize !== 'function'
+		) {
+			throw new TypeError('`deserialize` must be a function')
+		}
+
+		if (options.now !== undefined && typeof options.now !== 'function') {
+			throw new TypeError('`now` must be a function')
+		}
+
+		if (
+			options.weakRetention !== undefined &&
+			typeof options.weakRetention !== 'boolean' &&
+			!(typeof options.weakRetention === 'number' && options.weakRetention > 0)
+		) {
+			throw new TypeError(
+				'`weakRetention` must be a boolean or a number greater than 0',
+			)
+		}
+
+		if (
+			options.weakRetention === true &&
+			!(options.maxSize > 0 && options.maxSize !== Number.POSITIVE_INFINITY)
+		) {
+			throw new TypeError(
+				'`weakRetention` must be a number when `maxSize` is not finite',
+			)
+		}
+
+		if (
+			options.refreshAhead !== undefined &&
+			!(typeof options.refreshAhead === 'number' && options.refreshAhead >= 0)
+		) {
+			throw new TypeError(
+				'`refreshAhead` must be a number greater than or equal to 0',
+			)
+		}
+
+		this.#maxSize = options.maxSize ?? Number.POSITIVE_INFINITY
+		this.#policyName = options.policy ?? 'lru'
+		if (this.#policyName !== 'lru') {
+			this.#policy = createPolicy(this.#policyName, this.#maxSize)
+		}
+
+		// Policies pick victims among all items, so they need strict mode's single map.
+		this.#strict = Boolean(options.strict) || this.#policy !== undefined
 		this.#maxAge = options.maxAge || Number.POSITIVE_INFINITY
+		this.#maxIdle = options.maxIdle ?? Number.POSITIVE_INFINITY
+		this.#maxWeight = options.maxWeight ?? Number.POSITIVE_INFINITY
+		this.#sizeCalculation = hasMaxWeight
+			? (options.sizeCalculation ?? estimateSize)
+			: undefined
+		this.#keyHash = options.keyHash
+		this.#keyEquals = options.keyEquals
 		this.#onEviction = options.onEviction
+		this.#onRemove = options.onRemove
+		this.#loader = options.loader
+		this.#allowStale = Boolean(options.allowStale)
+		this.#refreshAhead = options.refreshAhead
+		this.#serialize = options.serialize
+		this.#deserialize = options.deserialize
+		this.#now = options.now ?? monotonicNow
+		if (options.trackStats) {
+			this.#stats = createStats()
+		}
+
+		this.#trackTimes = Boolean(options.trackTimes)
+
+		if (options.ttlAutopurge) {
+			this.#expiryQueue = new ExpiryQueue()
+		}
+
+		if (options.weakRetention) {
+			this.#ghosts = new Map()
+			this.#maxGhosts =
+				options.weakRetention === true ? this.#maxSize : options.weakRetention
+			this.#ghostRegistry = new FinalizationRegistry(id => {
+				// The slot may hold a newer ghost by now.
+				if (this.#ghosts.get(id)?.ref.deref() === undefined) {
+					this.#forget(id)
+				}
+			})
+		}
 	}
 
 	// For tests.
@@ -27,53 +233,347 @@ export default class QuickLRU extends Map {
 		return this.#oldCache
 	}
 
-	#emitEvictions(cache) {
-		if (typeof this.#onEviction !== 'function') {
+	#id(key) {
+		return this.#keyHash ? this.#keyHash(key) : key
+	}
+
+	// With `keyHash`, items are stored by hash and keep their original key.
+	#keyOf(id, item) {
+		return this.#keyHash ? item.key : id
+	}
+
+	#find(id, key) {
+		const item = this.#cache.get(id) ?? this.#oldCache.get(id)
+		if (item && this.#keyEquals && !this.#keyEquals(item.key, key)) {
+			return
+		}
+
+		return item
+	}
+
+	// Bulk removals by predicate do not `retain`, so what they remove is gone for good.
+	#emitRemoval(id, item, reason, retain = true) {
+		const key = this.#keyOf(id, item)
+		const { value } = item
+		if (
+			typeof this.#onEviction === 'function' &&
+			(reason === 'evict' ||
+				reason === 'expire' ||
+				reason === 'resize' ||
+				reason === 'invalidate')
+		) {
+			this.#onEviction(key, value, reason)
+		}
+
+		if (typeof this.#onRemove === 'function') {
+			this.#onRemove(key, value, reason)
+		}
+
+		if (retain && this.#ghosts && (reason === 'evict' || reason === 'resize')) {
+			this.#retain(id, item)
+		}
+	}
+
+	// Weak retention keeps evicted items around, so it needs to see them like a listener.
+	#hasRemovalListener() {
+		return (
+			typeof this.#onEviction === 'function' ||
+			typeof this.#onRemove === 'function' ||
+			this.#ghosts !== undefined
+		)
+	}
+
+	// Keeps an evicted object behind a `WeakRef`, so it can come back while something else still uses it.
+	#retain(id, item) {
+		const { value } = item
+		if (
+			!(typeof value === 'object' && value !== null) &&
+			typeof value !== 'function'
+		) {
 			return
 		}
 
-		for (const [key, item] of cache) {
-			this.#onEviction(key, item.value)
+		if (this.#isExpired(item)) {
+			return
+		}
+
+		this.#forget(id)
+		const ghost = {
+			ref: new WeakRef(value),
+			item: { ...item, value: undefined },
+		}
+		this.#ghosts.set(id, ghost)
+		this.#ghostRegistry.register(value, id, ghost)
+		this.#tag(id, ghost.item, this.#ghostTags)
+		// The oldest retained values make room, so the metadata kept for them stays bounded.
+		if (this.#ghosts.size > this.#maxGhosts) {
+			this.#forget(this.#ghosts.keys().next().value)
+		}
+	}
+
+	#forget(id) {
+		const ghost = this.#ghosts?.get(id)
+		if (ghost) {
+			this.#ghosts.delete(id)
+			this.#ghostRegistry.unregister(ghost)
+			this.#untag(id, ghost.item, this.#ghostTags)
 		}
 	}
 
+	// Stores a retained value again, with the expiry and tags it was evicted with. It goes through
+	// `set()`, so subclasses see it like any other new item.
+	#resurrect(id, key) {
+		const ghost = this.#ghosts?.get(id)
+		if (
+			ghost === undefined ||
+			(this.#keyEquals && !this.#keyEquals(ghost.item.key, key))
+		) {
+			return
+		}
+
+		this.#forget(id)
+		const value = ghost.ref.deref()
+		const { item } = ghost
+		if (value === undefined || this.#isExpired(item)) {
+			return
+		}
+
+		const deadline = item.maxIdle === undefined ? item.expiry : item.deadline
+		this.#resurrecting = true
+		try {
+			this.set(key, value, {
+				maxAge:
+					deadline === undefined
+						? Number.POSITIVE_INFINITY
+						: deadline - this.#now(),
+				maxIdle: item.maxIdle ?? Number.POSITIVE_INFINITY,
+				tags: item.tags,
+			})
+		} finally {
+			this.#resurrecting = false
+		}
+
+		if (this.#stats) {
+			this.#stats.resurrections++
+		}
+
+		return value
+	}
+
+	#miss(id, key) {
+		const value = this.#resurrect(id, key)
+		this.#countLookup(value !== undefined)
+		return value
+	}
+
+	#isExpired(item) {
+		return typeof item.expiry === 'number' && item.expiry <= this.#now()
+	}
+
 	#deleteIfExpired(key, item) {
-		if (typeof item.expiry === 'number' && item.expiry <= Date.now()) {
-			if (typeof this.#onEviction === 'function') {
-				this.#onEviction(key, item.value)
+		if (this.#isExpired(item)) {
+			if (this.#stats) {
+				this.#stats.expirations++
 			}
 
-			return this.delete(key)
+			this.#emitRemoval(key, item, 'expire')
+			return this.#delete(key)
 		}
 
 		return false
 	}
 
-	#getOrDeleteIfExpired(key, item) {
-		const deleted = this.#deleteIfExpired(key, item)
-		if (!deleted) {
-			return item.value
+	#countLookup(found) {
+		if (this.#stats) {
+			if (found) {
+				this.#stats.hits++
+			} else {
+				this.#stats.misses++
+			}
 		}
 	}
 
-	#getItemValue(key, item) {
-		return item.expiry ? this.#getOrDeleteIfExpired(key, item) : item.value
+	#lookup(key) {
+		const id = this.#id(key)
+		const item = this.#find(id, key)
+		const found = item !== undefined && !this.#deleteIfExpired(id, item)
+		this.#countLookup(found)
+		return found ? item : undefined
 	}
 
-	#peek(key, cache) {
-		const item = cache.get(key)
-		return this.#getItemValue(key, item)
+	#weigh(key, value) {
+		const weight = this.#sizeCalculation(value, key)
+		if (!(typeof weight === 'number' && weight >= 0)) {
+			throw new TypeError(
+				'`sizeCalculation` must return a number greater than or equal to 0',
+			)
+		}
+
+		return weight
+	}
+
+	#rotate() {
+		this.#size = 0
+		if (this.#hasRemovalListener() || this.#stats || this.#tags.size > 0) {
+			for (const [key, item] of this.#oldCache) {
+				if (this.#cache.has(key)) {
+					this.#evictShadowed(key, item)
+				} else {
+					if (this.#stats) {
+						this.#stats.evictions++
+					}
+
+					this.#emitRemoval(key, item, 'evict')
+					this.#untag(key, item)
+				}
+			}
+		}
+
+		if (this.#sizeCalculation) {
+			for (const [key, item] of this.#oldCache) {
+				// Shadowed items no longer count towards the weight.
+				if (!this.#cache.has(key)) {
+					this.#weight -= item.weight
+				}
+			}
+		}
+
+		this.#oldCache = this.#cache
+		this.#cache = new Map()
+		this.#shadowed = 0
+	}
+
+	// Strict mode keeps every item in `#cache`, ordered from least to most recently used.
+	// A policy picks the victim itself.
+	#evictOldest(reason) {
+		const key = this.#policy
+			? this.#policy.victim()
+			: this.#cache.keys().next().value
+		const item = this.#cache.get(key)
+		if (this.#deleteIfExpired(key, item)) {
+			return false
+		}
+
+		this.#emitRemoval(key, item, reason)
+		this.#delete(key)
+		return true
+	}
+
+	#trimToWeight() {
+		if (this.#strict) {
+			while (this.#weight > this.#maxWeight && this.#cache.size > 0) {
+				if (this.#evictOldest('evict') && this.#stats) {
+					this.#stats.evictions++
+				}
+			}
+
+			return
+		}
+
+		while (this.#weight > this.#maxWeight) {
+			if (this.#oldCache.size === 0) {
+				if (this.#cache.size === 0) {
+					return
+				}
+
+				this.#rotate()
+				continue
+			}
+
+			const [key, item] = this.#oldCache.entries().next().value
+			if (this.#cache.has(key)) {
+				this.#evictShadowed(key, item)
+				this.#dropShadowed(key)
+				continue
+			}
+
+			if (this.#stats) {
+				this.#stats.evictions++
+			}
+
+			this.#emitRemoval(key, item, 'evict')
+			this.#oldCache.delete(key)
+			this.#untag(key, item)
+			this.#weight -= item.weight
+		}
 	}
 
 	#set(key, value) {
+		const shadowedItem = this.#oldCache.get(key)
+		if (shadowedItem) {
+			this.#shadowed++
+			this.#weight -= shadowedItem.weight ?? 0
+		}
+
 		this.#cache.set(key, value)
 		this.#size++
+		this.#policy?.insert(key)
 
-		if (this.#size >= this.#maxSize) {
-			this.#size = 0
-			this.#emitEvictions(this.#oldCache)
-			this.#oldCache = this.#cache
-			this.#cache = new Map()
+		if (this.#strict) {
+			while (this.#size > this.#maxSize) {
+				if (this.#evictOldest('evict') && this.#stats) {
+					this.#stats.evictions++
+				}
+			}
+		} else if (this.#size >= this.#maxSize) {
+			this.#rotate()
+		}
+
+		if (this.#weight > this.#maxWeight) {
+			this.#trimToWeight()
+		}
+	}
+
+	// Shadowed items were reported to `onRemove` when they were overwritten, but `onEviction`
+	// keeps getting a replaced value when it is evicted, as it did before `onRemove` existed.
+	#evictShadowed(key, item) {
+		if (
+			typeof this.#onEviction === 'function' &&
+			item.value !== this.#cache.get(key).value
+		) {
+			this.#onEviction(this.#keyOf(key, item), item.value, 'evict')
+		}
+	}
+
+	// Drops the outdated copy of a key that was set again; it was already reported as overwritten
+	// and its weight was subtracted when it was shadowed.
+	#dropShadowed(key) {
+		this.#oldCache.delete(key)
+		this.#shadowed--
+	}
+
+	#tag(id, item, index = this.#tags) {
+		for (const tag of item.tags ?? []) {
+			let ids = index.get(tag)
+			if (!ids) {
+				ids = new Set()
+				index.set(tag, ids)
+			}
+
+			ids.add(id)
+		}
+	}
+
+	#untag(id, item, index = this.#tags) {
+		for (const tag of item.tags ?? []) {
+			const ids = index.get(tag)
+			if (ids?.delete(id) && ids.size === 0) {
+				index.delete(tag)
+			}
+		}
+	}
+
+	// Removes the oldest entry of `generation`, reporting it as expired or with `reason`.
+	#removeOldest(generation, reason) {
+		const [key, item] = generation.entries().next().value
+		if (generation === this.#oldCache && this.#cache.has(key)) {
+			this.#dropShadowed(key)
+			return
+		}
+
+		if (!this.#deleteIfExpired(key, item)) {
+			this.#emitRemoval(key, item, reason)
+			this.#delete(key)
 		}
 	}
 
@@ -82,18 +582,18 @@ export default class QuickLRU extends Map {
 		this.#set(key, item)
 	}
 
-	*#entriesAscending() {
+	*#entriesAscendingUnchecked() {
 		for (const item of this.#oldCache) {
-			const [key, value] = item
-			if (!this.#cache.has(key)) {
-				const deleted = this.#deleteIfExpired(key, value)
-				if (!deleted) {
-					yield item
-				}
+			if (!this.#cache.has(item[0])) {
+				yield item
 			}
 		}
 
-		for (const item of this.#cache) {
+		yield* this.#cache
+	}
+
+	*#entriesAscending() {
+		for (const item of this.#entriesAscendingUnchecked()) {
 			const [key, value] = item
 			const deleted = this.#deleteIfExpired(key, value)
 			if (!deleted) {
@@ -102,81 +602,553 @@ export default class QuickLRU extends Map {
 		}
 	}
 
-	get(key) {
-		if (this.#cache.has(key)) {
-			const item = this.#cache.get(key)
-			return this.#getItemValue(key, item)
+	// The reloaded value keeps the options the item was set with.
+	#refresh(id, key, item, loader) {
+		if (typeof loader === 'function' && !this.#pendingLoad(id, key)) {
+			const load = this.#startLoad(id, key, loader, {
+				maxAge: item.maxAge ?? this.#maxAge,
+				maxIdle: item.maxIdle ?? Number.POSITIVE_INFINITY,
+				tags: item.tags,
+			})
+			// Background refreshes have no caller to abort them.
+			load.waiters++
+			// Errors surface through `fetch()`; a failed background refresh leaves the cache as it was.
+			load.promise.catch(() => undefined)
 		}
+	}
 
-		if (this.#oldCache.has(key)) {
-			const item = this.#oldCache.get(key)
-			if (!this.#deleteIfExpired(key, item)) {
-				this.#moveToRecent(key, item)
+	#readItem(id, item, loader) {
+		const key = this.#keyOf(id, item)
+		if (this.#deleteIfExpired(id, item)) {
+			this.#countLookup(false)
+			if (this.#allowStale) {
+				this.#refresh(id, key, item, loader)
 				return item.value
 			}
+
+			return
+		}
+
+		this.#countLookup(true)
+		this.#touch(id, item)
+
+		// Idle deadlines move on every read, so only the absolute one warrants a reload.
+		const deadline = item.maxIdle === undefined ? item.expiry : item.deadline
+		if (
+			this.#refreshAhead !== undefined &&
+			typeof deadline === 'number' &&
+			deadline - this.#now() <= this.#refreshAhead
+		) {
+			this.#refresh(id, key, item, loader)
+		}
+
+		return item.value
+	}
+
+	#touch(key, item) {
+		if (item.maxIdle === undefined && !this.#trackTimes) {
+			return
+		}
+
+		const now = this.#now()
+		if (this.#trackTimes) {
+			item.lastAccessedAt = now
+		}
+
+		if (item.maxIdle === undefined) {
+			return
+		}
+
+		item.expiry = Math.min(
+			item.deadline ?? Number.POSITIVE_INFINITY,
+			now + item.maxIdle,
+		)
+		if (this.#expiryQueue) {
+			this.#trackExpiry(key, item.expiry)
+		}
+	}
+
+	#get(id, key, loader) {
+		if (this.#cache.has(id)) {
+			const item = this.#cache.get(id)
+			if (this.#strict && !this.#isExpired(item)) {
+				this.#cache.delete(id)
+				this.#cache.set(id, item)
+				this.#policy?.access(id)
+			}
+
+			return this.#readItem(id, item, loader)
 		}
+
+		if (this.#oldCache.has(id)) {
+			const item = this.#oldCache.get(id)
+			if (!this.#isExpired(item)) {
+				this.#moveToRecent(id, item)
+			}
+
+			return this.#readItem(id, item, loader)
+		}
+
+		return this.#miss(id, key)
 	}
 
-	set(key, value, { maxAge = this.#maxAge } = {}) {
-		const expiry =
+	get(key) {
+		const id = this.#id(key)
+		if (this.#keyEquals && !this.#find(id, key)) {
+			return this.#miss(id, key)
+		}
+
+		return this.#get(id, key, this.#loader)
+	}
+
+	#getOrInsert(key, compute) {
+		const id = this.#id(key)
+		const item = this.#find(id, key)
+		if (item && !this.#isExpired(item)) {
+			return this.#get(id, key, this.#loader)
+		}
+
+		if (item) {
+			this.#deleteIfExpired(id, item)
+		}
+
+		const resurrected = this.#miss(id, key)
+		if (resurrected !== undefined) {
+			return resurrected
+		}
+
+		const value = compute()
+		this.set(key, value)
+		return value
+	}
+
+	getOrInsert(key, value) {
+		return this.#getOrInsert(key, () => value)
+	}
+
+	getOrInsertComputed(key, callback) {
+		if (typeof callback !== 'function') {
+			throw new TypeError('`callback` must be a function')
+		}
+
+		return this.#getOrInsert(key, () => callback(key))
+	}
+
+	set(
+		key,
+		value,
+		{ maxAge = this.#maxAge, maxIdle = this.#maxIdle, tags } = {},
+	) {
+		if (tags !== undefined && !Array.isArray(tags)) {
+			throw new TypeError('`tags` must be an array')
+		}
+
+		const hasMaxAge =
 			typeof maxAge === 'number' && maxAge !== Number.POSITIVE_INFINITY
-				? Date.now() + maxAge
-				: undefined
+		const hasMaxIdle =
+			typeof maxIdle === 'number' && maxIdle !== Number.POSITIVE_INFINITY
+		// Reading the clock is a noticeable part of a plain `set()`, so it is skipped when unused.
+		const now =
+			hasMaxAge || hasMaxIdle || this.#trackTimes ? this.#now() : undefined
+		const deadline = hasMaxAge ? now + maxAge : undefined
+		const expiry = hasMaxIdle
+			? Math.min(deadline ?? Number.POSITIVE_INFINITY, now + maxIdle)
+			: deadline
 
-		if (this.#cache.has(key)) {
-			this.#cache.set(key, {
-				value,
-				expiry,
-			})
+		const item = { value, expiry }
+		if (this.#trackTimes) {
+			item.createdAt = now
+			item.lastAccessedAt = now
+		}
+
+		// Only needed to reload the item with the same options.
+		if (maxAge !== this.#maxAge) {
+			item.maxAge = maxAge
+		}
+
+		if (hasMaxIdle) {
+			item.maxIdle = maxIdle
+			item.deadline = deadline
+		}
+
+		if (this.#keyHash) {
+			item.key = key
+		}
+
+		if (tags?.length > 0) {
+			item.tags = [...new Set(tags)]
+		}
+
+		if (this.#sizeCalculation) {
+			item.weight = this.#weigh(key, value)
+		}
+
+		const id = this.#id(key)
+		this.#forget(id)
+		// A pending load would replace this value with an older one.
+		this.#pending.delete(id)
+		const previous = this.#cache.get(id) ?? this.#oldCache.get(id)
+		// A resurrection is counted on its own.
+		if (this.#stats && !this.#resurrecting) {
+			this.#stats.sets++
+			if (previous) {
+				this.#stats.overwrites++
+			}
+		}
+
+		// A different key with the same hash is replaced like an overwritten value.
+		const collides =
+			previous !== undefined &&
+			this.#keyEquals !== undefined &&
+			!this.#keyEquals(previous.key, key)
+		if (previous && (previous.value !== value || collides)) {
+			this.#emitRemoval(id, previous, 'overwrite')
+		}
+
+		if (previous) {
+			this.#untag(id, previous)
+		}
+
+		if (this.#sizeCalculation) {
+			if (item.weight > this.#maxWeight) {
+				this.#delete(id)
+				return this
+			}
+
+			this.#weight += item.weight
+		}
+
+		// Tagged before it is stored, in case a policy evicts it right away.
+		this.#tag(id, item)
+
+		if (this.#cache.has(id)) {
+			if (this.#sizeCalculation) {
+				this.#weight -= this.#cache.get(id).weight
+			}
+
+			if (this.#strict) {
+				this.#cache.delete(id)
+				this.#policy?.access(id)
+			}
+
+			this.#cache.set(id, item)
+			if (this.#weight > this.#maxWeight) {
+				this.#trimToWeight()
+			}
 		} else {
-			this.#set(key, { value, expiry })
+			this.#set(id, item)
+		}
+
+		if (this.#expiryQueue && expiry !== undefined) {
+			this.#trackExpiry(id, expiry)
 		}
 
 		return this
 	}
 
-	has(key) {
-		if (this.#cache.has(key)) {
-			return !this.#deleteIfExpired(key, this.#cache.get(key))
+	#trackExpiry(key, expiry) {
+		const storedCount = this.#cache.size + this.#oldCache.size
+		if (this.#expiryQueue.size > storedCount * 2 + 32) {
+			// Drop the nodes left behind by overwritten and evicted items.
+			this.#expiryQueue.clear()
+			for (const [itemKey, item] of this.#entriesAscendingUnchecked()) {
+				if (item.expiry !== undefined && itemKey !== key) {
+					this.#expiryQueue.push(itemKey, item.expiry)
+				}
+			}
 		}
 
-		if (this.#oldCache.has(key)) {
-			return !this.#deleteIfExpired(key, this.#oldCache.get(key))
+		this.#expiryQueue.push(key, expiry)
+		this.#schedulePurge()
+	}
+
+	#schedulePurge() {
+		const next = this.#expiryQueue.peek()
+		if (next === undefined) {
+			globalThis.clearTimeout(this.#purgeTimer)
+			this.#purgeTimer = undefined
+			return
 		}
 
-		return false
+		if (this.#purgeTimer !== undefined && this.#purgeAt <= next.expiry) {
+			return
+		}
+
+		globalThis.clearTimeout(this.#purgeTimer)
+		this.#purgeAt = next.expiry
+		const delay = Math.min(Math.max(next.expiry - this.#now(), 0), 2 ** 31 - 1)
+		this.#purgeTimer = globalThis.setTimeout(() => {
+			this.#purgeTimer = undefined
+			this.purgeStale()
+		}, delay)
+		this.#purgeTimer.unref?.()
+	}
+
+	purgeStale() {
+		let purged = 0
+		if (this.#expiryQueue) {
+			const now = this.#now()
+			while (
+				this.#expiryQueue.size > 0 &&
+				this.#expiryQueue.peek().expiry <= now
+			) {
+				const { key, expiry } = this.#expiryQueue.pop()
+				const item = this.#cache.get(key) ?? this.#oldCache.get(key)
+				if (item?.expiry === expiry && this.#deleteIfExpired(key, item)) {
+					purged++
+				}
+			}
+
+			this.#schedulePurge()
+			return purged
+		}
+
+		for (const [key, item] of this.#entriesAscendingUnchecked()) {
+			if (this.#deleteIfExpired(key, item)) {
+				purged++
+			}
+		}
+
+		return purged
+	}
+
+	fetch(key, loader, options) {
+		if (typeof loader === 'object' && loader !== null) {
+			options = loader
+			loader = undefined
+		}
+
+		loader ??= this.#loader
+		if (typeof loader !== 'function') {
+			throw new TypeError('`loader` must be a function')
+		}
+
+		const { signal, timeout } = options ?? {}
+		if (timeout !== undefined && !(timeout > 0)) {
+			throw new TypeError('`timeout` must be a number greater than 0')
+		}
+
+		const id = this.#id(key)
+		const item = this.#find(id, key)
+		if (item && (this.#allowStale || !this.#isExpired(item))) {
+			return Promise.resolve(this.#get(id, key, loader))
+		}
+
+		if (item) {
+			this.#deleteIfExpired(id, item)
+		}
+
+		const resurrected = this.#miss(id, key)
+		if (resurrected !== undefined) {
+			return Promise.resolve(resurrected)
+		}
+
+		if (signal?.aborted) {
+			// Abort reasons are whatever the caller passed to `abort()`.
+			// eslint-disable-next-line @typescript-eslint/prefer-promise-reject-errors
+			return Promise.reject(signal.reason)
+		}
+
+		const load = this.#pendingLoad(id, key) ?? this.#startLoad(id, key, loader)
+		return this.#wait(load, signal, timeout)
+	}
+
+	// A load for a different key with the same hash is not shared; starting another one drops it,
+	// like `set()` does.
+	#pendingLoad(id, key) {
+		const load = this.#pending.get(id)
+		if (load && this.#keyEquals && !this.#keyEquals(load.key, key)) {
+			return
+		}
+
+		return load
+	}
+
+	#startLoad(id, key, loader, options) {
+		const load = {
+			id,
+			key,
+			options,
+			controller: new AbortController(),
+			waiters: 0,
+		}
+		// Registered first, so a loader that throws right away is not left pending.
+		this.#pending.set(id, load)
+		load.promise = this.#load(key, loader, load)
+		return load
+	}
+
+	async #load(key, loader, load) {
+		const { signal } = load.controller
+		try {
+			const value = await loader(key, { signal })
+			// An aborted load must not store what it got.
+			signal.throwIfAborted()
+			// Neither must a load that was dropped because the key changed in the meantime.
+			if (this.#pending.get(load.id) === load) {
+				this.set(key, value, load.options)
+			}
+
+			return value
+		} finally {
+			this.#endLoad(load)
+		}
+	}
+
+	#endLoad(load) {
+		if (this.#pending.get(load.id) === load) {
+			this.#pending.delete(load.id)
+		}
+	}
+
+	// Callers share a load, which is only aborted once all of them gave up on it.
+	#wait(load, signal, timeout) {
+		load.waiters++
+		if (signal === undefined && timeout === undefined) {
+			return load.promise
+		}
+
+		return new Promise((resolve, reject) => {
+			let timer
+			const onAbort = () => {
+				leave(signal.reason)
+			}
+
+			const cleanup = () => {
+				globalThis.clearTimeout(timer)
+				signal?.removeEventListener('abort', onAbort)
+			}
+
+			const leave = reason => {
+				cleanup()
+				// eslint-disable-next-line @typescript-eslint/prefer-promise-reject-errors
+				reject(reason)
+				if (--load.waiters === 0) {
+					this.#endLoad(load)
+					load.controller.abort(reason)
+				}
+			}
+
+			signal?.addEventListener('abort', onAbort, { once: true })
+			if (timeout !== undefined) {
+				timer = globalThis.setTimeout(() => {
+					leave(new DOMException('The operation timed out.', 'TimeoutError'))
+				}, timeout)
+			}
+
+			load.promise.finally(cleanup).then(resolve, reject)
+		})
+	}
+
+	has(key) {
+		return this.#lookup(key) !== undefined
 	}
 
 	peek(key) {
-		if (this.#cache.has(key)) {
-			return this.#peek(key, this.#cache)
+		return this.#lookup(key)?.value
+	}
+
+	#entry(id, item) {
+		return {
+			key: this.#keyOf(id, item),
+			value: item.value,
+			expiresAt: item.expiry ?? null,
+			createdAt: item.createdAt,
+			lastAccessedAt: item.lastAccessedAt,
+			generation: this.#cache.get(id) === item ? 'recent' : 'old',
 		}
+	}
 
-		if (this.#oldCache.has(key)) {
-			return this.#peek(key, this.#oldCache)
+	// Looking at the metadata must not change it, so this is the same as `peekEntry()`.
+	getEntry(key) {
+		return this.peekEntry(key)
+	}
+
+	peekEntry(key) {
+		const id = this.#id(key)
+		const item = this.#find(id, key)
+		if (item && !this.#isExpired(item)) {
+			return this.#entry(id, item)
+		}
+	}
+
+	*entriesWithMetadata() {
+		for (const [id, item] of this.#entriesAscendingUnchecked()) {
+			if (!this.#isExpired(item)) {
+				yield this.#entry(id, item)
+			}
 		}
 	}
 
 	expiresIn(key) {
-		const item = this.#cache.get(key) ?? this.#oldCache.get(key)
+		const item = this.#find(this.#id(key), key)
 		if (item) {
-			return item.expiry ? item.expiry - Date.now() : Number.POSITIVE_INFINITY
+			return item.expiry ? item.expiry - this.#now() : Number.POSITIVE_INFINITY
 		}
 	}
 
 	delete(key) {
+		const id = this.#id(key)
+		this.#forget(id)
+		this.#pending.delete(id)
+		const item = this.#find(id, key)
+		if (!item) {
+			return false
+		}
+
+		this.#emitRemoval(id, item, 'delete')
+		return this.#delete(id)
+	}
+
+	#delete(key) {
+		const item = this.#cache.get(key)
 		const deleted = this.#cache.delete(key)
 		if (deleted) {
 			this.#size--
+			this.#weight -= item.weight ?? 0
+			this.#policy?.remove(key)
+			this.#untag(key, item)
 		}
 
-		return this.#oldCache.delete(key) || deleted
+		const oldItem = this.#oldCache.get(key)
+		const oldDeleted = this.#oldCache.delete(key)
+		if (oldDeleted) {
+			if (deleted) {
+				this.#shadowed--
+			} else {
+				this.#weight -= oldItem.weight ?? 0
+				this.#untag(key, oldItem)
+			}
+		}
+
+		return oldDeleted || deleted
 	}
 
 	clear() {
+		if (typeof this.#onRemove === 'function') {
+			for (const [key, item] of this.#entriesAscendingUnchecked()) {
+				this.#emitRemoval(key, item, 'clear')
+			}
+		}
+
 		this.#cache.clear()
 		this.#oldCache.clear()
+		this.#policy?.clear()
+		this.#tags.clear()
+		for (const ghost of this.#ghosts?.values() ?? []) {
+			this.#ghostRegistry.unregister(ghost)
+		}
+
+		this.#ghosts?.clear()
+		this.#ghostTags.clear()
+		this.#pending.clear()
 		this.#size = 0
+		this.#shadowed = 0
+		this.#weight = 0
+		if (this.#expiryQueue) {
+			this.#expiryQueue.clear()
+			this.#schedulePurge()
+		}
 	}
 
 	resize(newSize) {
@@ -184,23 +1156,59 @@ export default class QuickLRU extends Map {
 			throw new TypeError('`maxSize` must be a number greater than 0')
 		}
 
-		const items = [...this.#entriesAscending()]
-		const removeCount = items.length - newSize
-		if (removeCount < 0) {
-			this.#cache = new Map(items)
-			this.#oldCache = new Map()
-			this.#size = items.length
-		} else {
-			if (removeCount > 0) {
-				this.#emitEvictions(items.slice(0, removeCount))
+		if (this.#strict) {
+			this.#maxSize = newSize
+			this.#policy?.resize?.(newSize)
+			while (this.#size > newSize) {
+				this.#evictOldest('resize')
 			}
 
-			this.#oldCache = new Map(items.slice(removeCount))
+			return
+		}
+
+		if (newSize > this.#maxSize) {
+			this.#maxSize = newSize
+			this.#grow()
+			return
+		}
+
+		this.#maxSize = newSize
+		if (this.#cache.size >= newSize) {
+			// Only the newest items of the recent generation fit, so they become the old one.
+			while (this.#oldCache.size > 0) {
+				this.#removeOldest(this.#oldCache, 'resize')
+			}
+
+			while (this.#cache.size > newSize) {
+				this.#removeOldest(this.#cache, 'resize')
+			}
+
+			this.#oldCache = this.#cache
 			this.#cache = new Map()
 			this.#size = 0
+			return
 		}
 
-		this.#maxSize = newSize
+		while (this.#oldCache.size - this.#shadowed > newSize - this.#size) {
+			this.#removeOldest(this.#oldCache, 'resize')
+		}
+	}
+
+	// Moves every item into the recent generation, so none of them is evicted by the next rotation.
+	// Only the recent generation is copied, which is bounded by the previous `maxSize`.
+	#grow() {
+		for (const [key, item] of this.#cache) {
+			if (this.#oldCache.has(key)) {
+				this.#dropShadowed(key)
+			}
+
+			this.#oldCache.set(key, item)
+		}
+
+		this.#cache = this.#oldCache
+		this.#oldCache = new Map()
+		this.#size = this.#cache.size
+		this.#shadowed = 0
 	}
 
 	evict(count = 1) {
@@ -209,18 +1217,195 @@ export default class QuickLRU extends Map {
 			return
 		}
 
-		const items = [...this.#entriesAscending()]
-		const evictCount = Math.trunc(
-			Math.min(requested, Math.max(items.length - 1, 0)),
-		)
-		if (evictCount <= 0) {
+		if (this.#strict) {
+			const evictCount = Math.trunc(requested)
+			let evicted = 0
+			while (evicted < evictCount && this.#size > 1) {
+				if (this.#evictOldest('evict')) {
+					evicted++
+				}
+			}
+
+			if (this.#stats) {
+				this.#stats.manualEvictions += evicted
+			}
+
 			return
 		}
 
-		this.#emitEvictions(items.slice(0, evictCount))
-		this.#oldCache = new Map(items.slice(evictCount))
-		this.#cache = new Map()
-		this.#size = 0
+		const evictCount = Math.trunc(requested)
+		const victims = []
+		let candidate
+		// An item only becomes a victim once a newer one is found, so at least one is always kept.
+		for (const entry of this.#entriesAscending()) {
+			if (victims.length >= evictCount) {
+				break
+			}
+
+			if (candidate) {
+				victims.push(candidate)
+			}
+
+			candidate = entry
+		}
+
+		if (this.#stats) {
+			this.#stats.manualEvictions += victims.length
+		}
+
+		if (this.#hasRemovalListener()) {
+			for (const [key, item] of victims) {
+				this.#emitRemoval(key, item, 'evict')
+			}
+		}
+
+		for (const [key] of victims) {
+			this.#delete(key)
+		}
+	}
+
+	#removeWhere(predicate, reason) {
+		if (typeof predicate !== 'function') {
+			throw new TypeError('`predicate` must be a function')
+		}
+
+		let removed = 0
+		for (const [id, item] of this.#entriesAscending()) {
+			if (predicate(item.value, this.#keyOf(id, item))) {
+				this.#emitRemoval(id, item, reason, false)
+				this.#delete(id)
+				removed++
+			}
+		}
+
+		return removed
+	}
+
+	deleteWhere(predicate) {
+		return this.#removeWhere(predicate, 'delete')
+	}
+
+	evictWhere(predicate) {
+		const evicted = this.#removeWhere(predicate, 'evict')
+		if (this.#stats) {
+			this.#stats.manualEvictions += evicted
+		}
+
+		return evicted
+	}
+
+	invalidateTag(tag) {
+		return this.invalidateTags([tag])
+	}
+
+	invalidateTags(tags) {
+		// Any iterable of tags, read once.
+		const tagSet = new Set(tags)
+		const ids = new Set()
+		for (const tag of tagSet) {
+			for (const id of this.#tags.get(tag) ?? []) {
+				ids.add(id)
+			}
+		}
+
+		let invalidated = 0
+		for (const id of ids) {
+			// A removal callback may have removed it already.
+			const item = this.#cache.get(id) ?? this.#oldCache.get(id)
+			if (item === undefined || this.#deleteIfExpired(id, item)) {
+				continue
+			}
+
+			this.#emitRemoval(id, item, 'invalidate')
+			this.#delete(id)
+			this.#pending.delete(id)
+			invalidated++
+		}
+
+		for (const tag of tagSet) {
+			for (const id of this.#ghostTags.get(tag) ?? []) {
+				this.#forget(id)
+			}
+		}
+
+		return invalidated
+	}
+
+	stats() {
+		const stats = { ...(this.#stats ?? createStats()) }
+		const lookups = stats.hits + stats.misses
+		stats.hitRatio = lookups === 0 ? 0 : stats.hits / lookups
+		return stats
+	}
+
+	resetStats() {
+		if (this.#stats) {
+			this.#stats = createStats()
+		}
+	}
+
+	dump() {
+		const records = []
+		for (const [id, item] of this.#entriesAscendingUnchecked()) {
+			if (this.#isExpired(item)) {
+				continue
+			}
+
+			const key = this.#keyOf(id, item)
+			const value = this.#serialize
+				? this.#serialize(item.value, key)
+				: item.value
+			const expiresAt =
+				(item.maxIdle === undefined ? item.expiry : item.deadline) ?? null
+			const record = { key, value, expiresAt }
+			if (item.maxIdle !== undefined) {
+				record.maxIdle = item.maxIdle
+			}
+
+			if (item.tags) {
+				record.tags = [...item.tags]
+			}
+
+			records.push(record)
+		}
+
+		return records
+	}
+
+	load(records) {
+		// The clock stands still while loading, so `set()` turns each `maxAge` back into exactly the
+		// `expiresAt` of the record.
+		const now = this.#now()
+		const clock = this.#now
+		this.#now = () => now
+		try {
+			for (const { key, value, expiresAt, maxIdle, tags } of records) {
+				if (typeof expiresAt === 'number' && expiresAt <= now) {
+					continue
+				}
+
+				this.set(
+					key,
+					this.#deserialize ? this.#deserialize(value, key) : value,
+					{
+						maxAge:
+							typeof expiresAt === 'number'
+								? expiresAt - now
+								: Number.POSITIVE_INFINITY,
+						maxIdle: maxIdle ?? Number.POSITIVE_INFINITY,
+						tags,
+					},
+				)
+			}
+		} finally {
+			this.#now = clock
+		}
+
+		return this
+	}
+
+	static from(records, options) {
+		return new this(options).load(records)
 	}
 
 	*keys() {
@@ -240,7 +1425,7 @@ export default class QuickLRU extends Map {
 			const [key, value] = item
 			const deleted = this.#deleteIfExpired(key, value)
 			if (!deleted) {
-				yield [key, value.value]
+				yield [this.#keyOf(key, value), value.value]
 			}
 		}
 
@@ -249,7 +1434,7 @@ export default class QuickLRU extends Map {
 			if (!this.#cache.has(key)) {
 				const deleted = this.#deleteIfExpired(key, value)
 				if (!deleted) {
-					yield [key, value.value]
+					yield [this.#keyOf(key, value), value.value]
 				}
 			}
 		}
@@ -262,7 +1447,7 @@ export default class QuickLRU extends Map {
 			const [key, value] = item
 			const deleted = this.#deleteIfExpired(key, value)
 			if (!deleted) {
-				yield [key, value.value]
+				yield [this.#keyOf(key, value), value.value]
 			}
 		}
 
@@ -273,7 +1458,7 @@ export default class QuickLRU extends Map {
 			if (!this.#cache.has(key)) {
 				const deleted = this.#deleteIfExpired(key, value)
 				if (!deleted) {
-					yield [key, value.value]
+					yield [this.#keyOf(key, value), value.value]
 				}
 			}
 		}
@@ -281,33 +1466,64 @@ export default class QuickLRU extends Map {
 
 	*entriesAscending() {
 		for (const [key, value] of this.#entriesAscending()) {
-			yield [key, value.value]
+			yield [this.#keyOf(key, value), value.value]
 		}
 	}
 
 	get size() {
-		if (!this.#size) {
-			return this.#oldCache.size
+		return Math.min(
+			this.#size + this.#oldCache.size - this.#shadowed,
+			this.#maxSize,
+		)
+	}
+
+	count({ includeStale = true } = {}) {
+		if (includeStale) {
+			return this.size
 		}
 
-		let oldCacheSize = 0
-		for (const key of this.#oldCache.keys()) {
-			if (!this.#cache.has(key)) {
-				oldCacheSize++
+		let count = 0
+		for (const [, item] of this.#entriesAscendingUnchecked()) {
+			if (!this.#isExpired(item)) {
+				count++
 			}
 		}
 
-		return Math.min(this.#size + oldCacheSize, this.#maxSize)
+		return Math.min(count, this.#maxSize)
 	}
 
 	get maxSize() {
 		return this.#maxSize
 	}
 
+	now() {
+		return this.#now()
+	}
+
+	get strict() {
+		return this.#strict
+	}
+
+	get policy() {
+		return this.#policyName
+	}
+
 	get maxAge() {
 		return this.#maxAge
 	}
 
+	get maxIdle() {
+		return this.#maxIdle
+	}
+
+	get weight() {
+		return this.#weight
+	}
+
+	get maxWeight() {
+		return this.#maxWeight
+	}
+
 	entries() {
 		return this.entriesAscending()
 	}
@@ -327,7 +1543,54 @@ export default class QuickLRU extends Map {
 		return `QuickLRU(${this.size}/${this.maxSize})`
 	}
 
-	[Symbol.for('nodejs.util.inspect.custom')]() {
-		return this.toString()
+	[Symbol.for('nodejs.util.inspect.custom')](depth, options, inspect) {
+		if (depth < 0 || typeof inspect !== 'function') {
+			return this.toString()
+		}
+
+		const nested = {
+			...options,
+			depth: options.depth === null ? null : options.depth - 1,
+		}
+		const limit = Math.min(options.maxArrayLength ?? inspectLimit, inspectLimit)
+		const lines = []
+		let remaining = 0
+		// Only the items up to the limit are formatted; the rest are just counted.
+		for (const [id, item] of this.#entriesAscendingUnchecked()) {
+			if (this.#isExpired(item)) {
+				continue
+			}
+
+			if (lines.length < limit) {
+				const key = inspect(this.#keyOf(id, item), nested)
+				lines.push(`${key} => ${inspect(item.value, nested)}`)
+			} else {
+				remaining++
+			}
+		}
+
+		if (remaining > 0) {
+			lines.push(`... ${remaining} more item${remaining === 1 ? '' : 's'}`)
+		}
+
+		return lines.length === 0
+			? `${this.toString()} {}`
+			: `${this.toString()} {\n  ${lines.join(',\n  ')}\n}`
+	}
+}
+
+// Methods inherited from `Map.prototype` would work on the empty map behind the cache.
+// Engines keep adding new ones, so any that is not implemented above throws instead.
+for (const name of Reflect.ownKeys(Map.prototype)) {
+	if (!Object.hasOwn(QuickLRU.prototype, name)) {
+		Object.defineProperty(QuickLRU.prototype, name, {
+			configurable: true,
+			writable: true,
+			value() {
+				throw new TypeError(
+					`QuickLRU does not implement \`Map.prototype.${String(name)}\``,
+				)
+			},
+		})
 	}
 }
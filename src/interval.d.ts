@@ -0,0 +1,57 @@
+import QuickLRU, { type Options as QuickLRUOptions, type SetOptions } from './index.js'
+
+/**
+A range on a reference sequence, such as a chromosome.
+
+Intervals are half-open: `start` is included and `end` is not.
+*/
+export interface Interval {
+	readonly refName: string
+	readonly start: number
+	readonly end: number
+}
+
+export type Options<KeyType extends Interval, ValueType> = Omit<
+	QuickLRUOptions<KeyType, ValueType>,
+	'keyHash' | 'keyEquals'
+>
+
+/**
+A `QuickLRU` keyed by `{refName, start, end}` intervals, with lookups by overlap and containment.
+
+Keys are compared by their `refName`, `start` and `end`, so any equal interval object finds the item. Eviction, `maxAge` and every other option work as in `QuickLRU`.
+
+@example
+```
+import IntervalCache from 'quick-lru/interval';
+
+const cache = new IntervalCache({maxSize: 100});
+
+cache.set({refName: 'chr1', start: 500, end: 5000}, block);
+
+cache.getContaining('chr1', 1000, 2000);
+//=> [[{refName: 'chr1', start: 500, end: 5000}, block]]
+```
+*/
+export default class IntervalCache<KeyType extends Interval, ValueType> extends QuickLRU<KeyType, ValueType> {
+	constructor(options?: Options<KeyType, ValueType>)
+
+	/**
+	Set an item. Throws a `TypeError` when the key is not an interval with `start <= end`.
+	*/
+	set(key: KeyType, value: ValueType, options?: SetOptions): this
+
+	/**
+	Get the items whose interval overlaps `start` to `end`, ordered by start and then end.
+
+	Each of them counts as read, like with `get()`. Expired items are left out.
+	*/
+	getOverlapping(refName: string, start: number, end: number): [KeyType, ValueType][]
+
+	/**
+	Get the items whose interval covers all of `start` to `end`, ordered by start and then end.
+
+	Each of them counts as read, like with `get()`. Expired items are left out.
+	*/
+	getContaining(refName: string, start: number, end: number): [KeyType, ValueType][]
+}
@@ -0,0 +1,253 @@
+import QuickLRU from './index.js'
+
+const hashInterval = ({ refName, start, end }) =>
+	JSON.stringify([refName, start, end])
+
+function isInterval(key) {
+	return (
+		typeof key === 'object' &&
+		key !== null &&
+		typeof key.refName === 'string' &&
+		Number.isFinite(key.start) &&
+		Number.isFinite(key.end) &&
+		key.start <= key.end
+	)
+}
+
+const compareIntervals = (a, b) => a.start - b.start || a.end - b.end
+
+// The intervals of one reference sequence, in a treap ordered by start and then
+// end. Every node also keeps the largest end in its subtree, so a query skips
+// the subtrees that end before it. Adding and removing take expected O(log n).
+class IntervalIndex {
+	#root
+	#size = 0
+
+	get size() {
+		return this.#size
+	}
+
+	#update(node) {
+		node.maxEnd = Math.max(
+			node.key.end,
+			node.left?.maxEnd ?? node.key.end,
+			node.right?.maxEnd ?? node.key.end,
+		)
+	}
+
+	#rotateRight(node) {
+		const { left } = node
+		node.left = left.right
+		left.right = node
+		this.#update(node)
+		this.#update(left)
+		return left
+	}
+
+	#rotateLeft(node) {
+		const { right } = node
+		node.right = right.left
+		right.left = node
+		this.#update(node)
+		this.#update(right)
+		return right
+	}
+
+	#insert(node, inserted) {
+		if (node === undefined) {
+			return inserted
+		}
+
+		if (compareIntervals(inserted.key, node.key) < 0) {
+			node.left = this.#insert(node.left, inserted)
+			if (node.left.priority > node.priority) {
+				return this.#rotateRight(node)
+			}
+		} else {
+			node.right = this.#insert(node.right, inserted)
+			if (node.right.priority > node.priority) {
+				return this.#rotateLeft(node)
+			}
+		}
+
+		this.#update(node)
+		return node
+	}
+
+	#merge(left, right) {
+		if (left === undefined) {
+			return right
+		}
+
+		if (right === undefined) {
+			return left
+		}
+
+		if (left.priority > right.priority) {
+			left.right = this.#merge(left.right, right)
+			this.#update(left)
+			return left
+		}
+
+		right.left = this.#merge(left, right.left)
+		this.#update(right)
+		return right
+	}
+
+	#remove(node, key) {
+		if (node === undefined) {
+			return
+		}
+
+		const order = compareIntervals(key, node.key)
+		if (order === 0) {
+			this.#size--
+			return this.#merge(node.left, node.right)
+		}
+
+		if (order < 0) {
+			node.left = this.#remove(node.left, key)
+		} else {
+			node.right = this.#remove(node.right, key)
+		}
+
+		this.#update(node)
+		return node
+	}
+
+	#collect(node, start, end, keys) {
+		if (node === undefined || node.maxEnd < start) {
+			return
+		}
+
+		this.#collect(node.left, start, end, keys)
+		// Everything to the right starts after this node.
+		if (node.key.start > end) {
+			return
+		}
+
+		if (node.key.end >= start) {
+			keys.push(node.key)
+		}
+
+		this.#collect(node.right, start, end, keys)
+	}
+
+	add(key) {
+		this.#root = this.#insert(this.#root, {
+			key,
+			priority: Math.random(),
+			maxEnd: key.end,
+			left: undefined,
+			right: undefined,
+		})
+		this.#size++
+	}
+
+	remove(key) {
+		this.#root = this.#remove(this.#root, key)
+	}
+
+	// The intervals that overlap or touch `start` to `end`, ordered by start and then end.
+	near(start, end) {
+		const keys = []
+		this.#collect(this.#root, start, end, keys)
+		return keys
+	}
+}
+
+export default class IntervalCache extends QuickLRU {
+	#indexes = new Map()
+	#indexed = new Set()
+
+	constructor(options = {}) {
+		super({
+			...options,
+			keyHash: hashInterval,
+			keyEquals: undefined,
+			onRemove: (key, value, reason) => {
+				// An overwrite keeps the interval in the cache.
+				if (reason !== 'overwrite') {
+					this.#unindex(key)
+				}
+
+				options.onRemove?.(key, value, reason)
+			},
+		})
+	}
+
+	#unindex(key) {
+		const hash = hashInterval(key)
+		if (!this.#indexed.delete(hash)) {
+			return
+		}
+
+		const index = this.#indexes.get(key.refName)
+		index.remove(key)
+		if (index.size === 0) {
+			this.#indexes.delete(key.refName)
+		}
+	}
+
+	set(key, value, options) {
+		if (!isInterval(key)) {
+			throw new TypeError(
+				'Keys must be `{refName, start, end}` objects with `start <= end`',
+			)
+		}
+
+		super.set(key, value, options)
+		const hash = hashInterval(key)
+		// The item is not stored when it is heavier than `maxWeight` on its own.
+		if (this.expiresIn(key) === undefined) {
+			this.#unindex(key)
+		} else if (!this.#indexed.has(hash)) {
+			this.#indexed.add(hash)
+			let index = this.#indexes.get(key.refName)
+			if (!index) {
+				index = new IntervalIndex()
+				this.#indexes.set(key.refName, index)
+			}
+
+			index.add(key)
+		}
+
+		return this
+	}
+
+	#find(refName, start, end, predicate) {
+		const index = this.#indexes.get(refName)
+		if (!index) {
+			return []
+		}
+
+		// Reading items may expire them, which changes the index.
+		const keys = index.near(start, end).filter(predicate)
+		const entries = []
+		for (const key of keys) {
+			if (this.expiresIn(key) > 0) {
+				entries.push([key, this.get(key)])
+			}
+		}
+
+		return entries
+	}
+
+	getOverlapping(refName, start, end) {
+		return this.#find(
+			refName,
+			start,
+			end,
+			key => key.start < end && start < key.end,
+		)
+	}
+
+	getContaining(refName, start, end) {
+		return this.#find(
+			refName,
+			start,
+			end,
+			key => key.start <= start && end <= key.end,
+		)
+	}
+}
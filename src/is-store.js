@@ -0,0 +1,8 @@
+export default function isStore(store) {
+	return (
+		typeof store?.get === 'function' &&
+		typeof store.set === 'function' &&
+		typeof store.delete === 'function' &&
+		typeof store.keys === 'function'
+	)
+}
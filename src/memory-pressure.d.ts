@@ -0,0 +1,106 @@
+import type QuickLRU from './index.js'
+
+export interface Options {
+	/**
+	Returns the current memory usage, synchronously or as a promise. It is compared with `highWaterMark` and `lowWaterMark`, so it can use any unit they use.
+
+	@default () => process.memoryUsage().heapUsed
+	*/
+	readonly probe?: () => number | PromiseLike<number>
+
+	/**
+	Shrink the cache when the usage reaches this value.
+	*/
+	readonly highWaterMark: number
+
+	/**
+	Grow the cache back when the usage drops to this value. Between the two marks, the size is left as it is.
+
+	@default highWaterMark * 0.8
+	*/
+	readonly lowWaterMark?: number
+
+	/**
+	The cache is never shrunk below this size.
+
+	@default 1
+	*/
+	readonly minSize?: number
+
+	/**
+	Each check under pressure multiplies the size by this factor, and each check without pressure divides it by it, until it reaches `minSize` or the original `maxSize`.
+
+	@default 0.5
+	*/
+	readonly shrinkFactor?: number
+
+	/**
+	Call `check()` every `interval` milliseconds. The timer is `unref`'d, so it does not keep a Node.js process alive.
+
+	By default, the usage is only checked by explicit `check()` calls.
+	*/
+	readonly interval?: number
+
+	/**
+	Called after the cache was resized.
+	*/
+	onResize?: (newSize: number, usage: number) => void
+
+	/**
+	Called when a check started by `interval` fails.
+	*/
+	onError?: (error: unknown) => void
+}
+
+/**
+Scales a `QuickLRU` down under memory pressure and back up once it eases.
+
+The items that no longer fit are evicted with the `'resize'` reason.
+
+@example
+```
+import QuickLRU from 'quick-lru';
+import MemoryPressureController from 'quick-lru/memory-pressure';
+
+const cache = new QuickLRU({maxSize: 10_000});
+
+const controller = new MemoryPressureController(cache, {
+	highWaterMark: 512 * 1024 * 1024,
+	minSize: 100,
+	interval: 1000,
+});
+```
+*/
+export default class MemoryPressureController {
+	/**
+	Throws a `TypeError` when the cache does not have a finite `maxSize`.
+	*/
+	constructor(cache: QuickLRU<unknown, unknown>, options: Options)
+
+	/**
+	The controlled cache.
+	*/
+	get cache(): QuickLRU<unknown, unknown>
+
+	/**
+	The `maxSize` of the cache when the controller was created, which it grows back to.
+	*/
+	get maxSize(): number
+
+	/**
+	The smallest size the cache is shrunk to.
+	*/
+	get minSize(): number
+
+	/**
+	Read the memory usage and resize the cache if needed. Calls made while a check is running share its result.
+
+	@returns The `maxSize` of the cache after the check.
+	*/
+	check(): Promise<number>
+
+	/**
+	Stop the `interval` timer. The cache keeps its current size.
+	*/
+	close(): void
+}
@@ -0,0 +1,141 @@
+function defaultProbe() {
+	return globalThis.process.memoryUsage().heapUsed
+}
+
+export default class MemoryPressureController {
+	#cache
+	#probe
+	#highWaterMark
+	#lowWaterMark
+	#minSize
+	#maxSize
+	#shrinkFactor
+	#onResize
+	#onError
+	#checking
+	#timer
+
+	constructor(cache, options = {}) {
+		const {
+			probe,
+			highWaterMark,
+			lowWaterMark = highWaterMark * 0.8,
+			minSize = 1,
+			shrinkFactor = 0.5,
+			interval,
+			onResize,
+			onError,
+		} = options
+
+		if (typeof cache?.resize !== 'function') {
+			throw new TypeError('`cache` must be a QuickLRU instance')
+		}
+
+		if (!(cache.maxSize > 0 && cache.maxSize !== Number.POSITIVE_INFINITY)) {
+			throw new TypeError('`cache` must have a finite `maxSize`')
+		}
+
+		if (probe !== undefined && typeof probe !== 'function') {
+			throw new TypeError('`probe` must be a function')
+		}
+
+		if (
+			probe === undefined &&
+			typeof globalThis.process?.memoryUsage !== 'function'
+		) {
+			throw new TypeError('`probe` is required outside of Node.js')
+		}
+
+		if (!(highWaterMark > 0)) {
+			throw new TypeError('`highWaterMark` must be a number greater than 0')
+		}
+
+		if (!(lowWaterMark >= 0 && lowWaterMark <= highWaterMark)) {
+			throw new TypeError(
+				'`lowWaterMark` must be a number between 0 and `highWaterMark`',
+			)
+		}
+
+		if (!(minSize > 0 && minSize <= cache.maxSize)) {
+			throw new TypeError(
+				'`minSize` must be a number between 1 and the `maxSize` of the cache',
+			)
+		}
+
+		if (!(shrinkFactor > 0 && shrinkFactor < 1)) {
+			throw new TypeError('`shrinkFactor` must be a number between 0 and 1')
+		}
+
+		if (interval !== undefined && !(interval > 0)) {
+			throw new TypeError('`interval` must be a number greater than 0')
+		}
+
+		this.#cache = cache
+		this.#probe = probe ?? defaultProbe
+		this.#highWaterMark = highWaterMark
+		this.#lowWaterMark = lowWaterMark
+		this.#minSize = Math.ceil(minSize)
+		this.#maxSize = cache.maxSize
+		this.#shrinkFactor = shrinkFactor
+		this.#onResize = onResize
+		this.#onError = onError
+		if (interval !== undefined) {
+			this.#timer = globalThis.setInterval(() => {
+				void this.#checkInBackground()
+			}, interval)
+			this.#timer.unref?.()
+		}
+	}
+
+	get cache() {
+		return this.#cache
+	}
+
+	// The size the cache grows back to once the pressure eases.
+	get maxSize() {
+		return this.#maxSize
+	}
+
+	get minSize() {
+		return this.#minSize
+	}
+
+	check() {
+		// Overlapping checks would read the same pressure and resize twice.
+		this.#checking ??= this.#check().finally(() => {
+			this.#checking = undefined
+		})
+		return this.#checking
+	}
+
+	async #check() {
+		const usage = await this.#probe()
+		const size = this.#cache.maxSize
+		let newSize = size
+		if (usage >= this.#highWaterMark) {
+			newSize = Math.max(this.#minSize, Math.floor(size * this.#shrinkFactor))
+		} else if (usage <= this.#lowWaterMark) {
+			newSize = Math.min(this.#maxSize, Math.ceil(size / this.#shrinkFactor))
+		}
+
+		if (newSize !== size) {
+			this.#cache.resize(newSize)
+			this.#onResize?.(newSize, usage)
+		}
+
+		return newSize
+	}
+
+	async #checkInBackground() {
+		try {
+			await this.check()
+		} catch (error) {
+			this.#onError?.(error)
+		}
+	}
+
+	close() {
+		globalThis.clearInterval(this.#timer)
+		this.#timer = undefined
+	}
+}
@@ -0,0 +1,23 @@
+import type { Store } from './index.js'
+
+/**
+A `Store` that keeps its records in memory.
+
+Mostly useful for tests, and as a reference implementation of the `Store` interface.
+
+@example
+```
+import WriteBehindLRU from 'quick-lru/write-behind';
+import MemoryStore from 'quick-lru/memory-store';
+
+const lru = new WriteBehindLRU({maxSize: 1000, store: new MemoryStore()});
+```
+*/
+export default class MemoryStore<KeyType = unknown, StoredValueType = unknown>
+	implements Store<KeyType, StoredValueType>
+{
+	get(key: KeyType): Promise<StoredValueType | undefined>
+	set(key: KeyType, value: StoredValueType): Promise<void>
+	delete(key: KeyType): Promise<void>
+	keys(): Promise<KeyType[]>
+}
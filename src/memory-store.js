@@ -0,0 +1,19 @@
+export default class MemoryStore {
+	#records = new Map()
+
+	async get(key) {
+		return this.#records.get(key)
+	}
+
+	async set(key, value) {
+		this.#records.set(key, value)
+	}
+
+	async delete(key) {
+		this.#records.delete(key)
+	}
+
+	async keys() {
+		return [...this.#records.keys()]
+	}
+}
@@ -0,0 +1,357 @@
+// Eviction policies for caches that keep every item in a single map.
+// A policy only tracks keys: it is told about insertions, accesses and
+// removals, and picks the next key to evict. Removing that key from the cache
+// is left to the caller, which then reports it back through `remove()`.
+// Policies that depend on the capacity also implement `resize()`.
+
+export const policyNames = ['lru', 'slru', 'lfu', 'tinylfu']
+
+function moveToEnd(map, key) {
+	map.delete(key)
+	map.set(key, true)
+}
+
+function firstKey(map) {
+	return map.keys().next().value
+}
+
+// Segmented LRU: new keys enter a probation segment and move to a protected
+// segment when they are accessed again. Keys dropping out of the protected
+// segment get another chance in probation, which is evicted first.
+class SegmentedLru {
+	#probation = new Map()
+	#protected = new Map()
+	#protectedCapacity
+
+	constructor(capacity) {
+		this.resize(capacity)
+	}
+
+	get size() {
+		return this.#probation.size + this.#protected.size
+	}
+
+	resize(capacity) {
+		this.#protectedCapacity = Math.max(1, Math.floor(capacity * 0.8))
+		this.#demote()
+	}
+
+	#demote() {
+		while (this.#protected.size > this.#protectedCapacity) {
+			const key = firstKey(this.#protected)
+			this.#protected.delete(key)
+			this.#probation.set(key, true)
+		}
+	}
+
+	insert(key) {
+		this.#probation.set(key, true)
+	}
+
+	access(key) {
+		if (this.#protected.has(key)) {
+			moveToEnd(this.#protected, key)
+			return
+		}
+
+		this.#probation.delete(key)
+		this.#protected.set(key, true)
+		this.#demote()
+	}
+
+	remove(key) {
+		if (!this.#probation.delete(key)) {
+			this.#protected.delete(key)
+		}
+	}
+
+	victim() {
+		return this.#probation.size > 0
+			? firstKey(this.#probation)
+			: firstKey(this.#protected)
+	}
+
+	clear() {
+		this.#probation.clear()
+		this.#protected.clear()
+	}
+}
+
+// Least frequently used, with ties broken by recency. Every key is kept in a
+// bucket per access count. The counts are halved periodically, so keys that
+// were popular a long time ago do not stay in the cache forever.
+class Lfu {
+	#frequencies = new Map()
+	#buckets = new Map()
+	#minFrequency
+	#operations = 0
+
+	#add(key, frequency) {
+		this.#frequencies.set(key, frequency)
+		let bucket = this.#buckets.get(frequency)
+		if (!bucket) {
+			bucket = new Set()
+			this.#buckets.set(frequency, bucket)
+		}
+
+		bucket.add(key)
+		if (!(this.#minFrequency <= frequency)) {
+			this.#minFrequency = frequency
+		}
+	}
+
+	#unlink(key) {
+		const frequency = this.#frequencies.get(key)
+		if (frequency === undefined) {
+			return
+		}
+
+		this.#frequencies.delete(key)
+		const bucket = this.#buckets.get(frequency)
+		bucket.delete(key)
+		if (bucket.size === 0) {
+			this.#buckets.delete(frequency)
+			if (frequency === this.#minFrequency) {
+				this.#minFrequency = undefined
+			}
+		}
+
+		return frequency
+	}
+
+	#tick() {
+		if (++this.#operations < Math.max(this.#frequencies.size, 16) * 10) {
+			return
+		}
+
+		this.#operations = 0
+		const frequencies = [...this.#frequencies]
+		this.#frequencies.clear()
+		this.#buckets.clear()
+		this.#minFrequency = undefined
+		for (const [key, frequency] of frequencies) {
+			this.#add(key, Math.max(1, frequency >> 1))
+		}
+	}
+
+	insert(key) {
+		this.#add(key, 1)
+		this.#tick()
+	}
+
+	access(key) {
+		const frequency = this.#unlink(key)
+		this.#add(key, (frequency ?? 0) + 1)
+		this.#tick()
+	}
+
+	remove(key) {
+		this.#unlink(key)
+	}
+
+	victim() {
+		if (this.#minFrequency === undefined) {
+			if (this.#buckets.size === 0) {
+				return
+			}
+
+			this.#minFrequency = Math.min(...this.#buckets.keys())
+		}
+
+		return this.#buckets.get(this.#minFrequency).values().next().value
+	}
+
+	clear() {
+		this.#frequencies.clear()
+		this.#buckets.clear()
+		this.#minFrequency = undefined
+		this.#operations = 0
+	}
+}
+
+const objectIds = new WeakMap()
+let nextObjectId = 0
+
+function hashKey(key) {
+	let string
+	if ((typeof key === 'object' && key !== null) || typeof key === 'function') {
+		let id = objectIds.get(key)
+		if (id === undefined) {
+			id = nextObjectId++
+			objectIds.set(key, id)
+		}
+
+		string = `object:${id}`
+	} else {
+		string = `${typeof key}:${String(key)}`
+	}
+
+	// FNV-1a
+	let hash = 0x81_1c_9d_c5
+	for (let index = 0; index < string.length; index++) {
+		hash ^= string.charCodeAt(index)
+		hash = Math.imul(hash, 0x01_00_01_93)
+	}
+
+	return hash >>> 0
+}
+
+const rowSeeds = [0x9e_37_79_b9, 0x7f_4a_7c_15, 0x6a_09_e6_67, 0xbb_67_ae_85]
+
+// Count-min sketch with small saturating counters, used to estimate how often
+// a key was seen recently, including keys that are no longer in the cache.
+class FrequencySketch {
+	#table
+	#mask
+	#additions = 0
+	#sampleSize
+
+	constructor(capacity) {
+		// Four counters per item keeps collisions rare between two resets.
+		let width = 16
+		while (width < capacity * 4) {
+			width *= 2
+		}
+
+		this.#table = new Uint8Array(width * 4)
+		this.#mask = width - 1
+		this.#sampleSize = capacity * 10
+	}
+
+	*#indexes(key) {
+		const hash = hashKey(key)
+		for (const [row, seed] of rowSeeds.entries()) {
+			// Murmur3 finalizer, so that every row spreads the keys differently.
+			let mixed = Math.imul(hash ^ seed, 0x85_eb_ca_6b)
+			mixed ^= mixed >>> 13
+			mixed = Math.imul(mixed, 0xc2_b2_ae_35)
+			mixed ^= mixed >>> 16
+			yield row * (this.#mask + 1) + (mixed & this.#mask)
+		}
+	}
+
+	estimate(key) {
+		let frequency = Number.POSITIVE_INFINITY
+		for (const index of this.#indexes(key)) {
+			frequency = Math.min(frequency, this.#table[index])
+		}
+
+		return frequency
+	}
+
+	increment(key) {
+		for (const index of this.#indexes(key)) {
+			if (this.#table[index] < 15) {
+				this.#table[index]++
+			}
+		}
+
+		if (++this.#additions >= this.#sampleSize) {
+			this.#additions = 0
+			for (let index = 0; index < this.#table.length; index++) {
+				this.#table[index] >>= 1
+			}
+		}
+	}
+}
+
+// W-TinyLFU: new keys enter a small LRU window. A key leaving the window is
+// only admitted into the main segmented LRU when it was seen more often than
+// the key that would be evicted from there to make room.
+class TinyLfu {
+	#window = new Map()
+	#main
+	#sketch
+	#windowCapacity
+	#mainCapacity
+
+	constructor(capacity) {
+		this.#sketch = new FrequencySketch(capacity)
+		this.#main = new SegmentedLru(capacity)
+		this.resize(capacity)
+	}
+
+	resize(capacity) {
+		this.#windowCapacity = Math.max(1, Math.round(capacity * 0.01))
+		this.#mainCapacity = Math.max(capacity - this.#windowCapacity, 0)
+		this.#main.resize(this.#mainCapacity)
+	}
+
+	insert(key) {
+		this.#sketch.increment(key)
+		this.#window.set(key, true)
+		this.#admit()
+	}
+
+	// Moves keys from the window into the main segment for as long as it has room.
+	#admit() {
+		while (
+			this.#window.size > this.#windowCapacity &&
+			this.#main.size < this.#mainCapacity
+		) {
+			const key = firstKey(this.#window)
+			this.#window.delete(key)
+			this.#main.insert(key)
+		}
+	}
+
+	access(key) {
+		this.#sketch.increment(key)
+		if (this.#window.has(key)) {
+			moveToEnd(this.#window, key)
+		} else {
+			this.#main.access(key)
+		}
+	}
+
+	remove(key) {
+		if (!this.#window.delete(key)) {
+			this.#main.remove(key)
+		}
+	}
+
+	victim() {
+		this.#admit()
+		if (this.#window.size > this.#windowCapacity) {
+			const candidate = firstKey(this.#window)
+			const victim = this.#main.victim()
+			if (
+				victim === undefined ||
+				this.#sketch.estimate(candidate) <= this.#sketch.estimate(victim)
+			) {
+				return candidate
+			}
+
+			this.#window.delete(candidate)
+			this.#main.insert(candidate)
+			return victim
+		}
+
+		return this.#main.size > 0 ? this.#main.victim() : firstKey(this.#window)
+	}
+
+	clear() {
+		this.#window.clear()
+		this.#main.clear()
+	}
+}
+
+export default function createPolicy(name, capacity) {
+	switch (name) {
+		case 'slru': {
+			return new SegmentedLru(capacity)
+		}
+
+		case 'lfu': {
+			return new Lfu()
+		}
+
+		case 'tinylfu': {
+			return new TinyLfu(capacity)
+		}
+
+		default: {
+			throw new TypeError(`Unknown eviction policy: ${name}`)
+		}
+	}
+}
@@ -0,0 +1,95 @@
+import QuickLRU, { type Options as QuickLRUOptions, type Store } from './index.js'
+
+import type { StoredRecord } from './write-behind.js'
+
+export interface Options<KeyType, ValueType> {
+	/**
+	Options for the small, fast first tier, which `TieredCache` creates itself so it can catch its evictions.
+	*/
+	readonly l1: QuickLRUOptions<KeyType, ValueType>
+
+	/**
+	The larger, slower second tier: another `QuickLRU`, or a `Store` such as `FileSystemStore`.
+	*/
+	readonly l2: QuickLRU<KeyType, ValueType> | Store<KeyType, StoredRecord>
+
+	/**
+	Convert a value into something JSON-safe before it is demoted into a `Store`.
+	*/
+	serialize?: (value: ValueType, key: KeyType) => unknown
+
+	/**
+	Convert a value read from a `Store` back.
+	*/
+	deserialize?: (value: any, key: KeyType) => ValueType
+}
+
+/**
+A two-tier cache: a hot `QuickLRU` in front of a larger `QuickLRU` or `Store`.
+
+Items evicted from L1 by LRU pressure, `evict()` or `resize()` are demoted into L2 instead of being lost, keeping their expiry time. An L2 hit promotes the item back into L1. Each item lives in one tier at a time. The methods return promises, so a `Store` can be used as L2.
+
+@example
+```
+import TieredCache from 'quick-lru/tiered';
+import QuickLRU from 'quick-lru';
+
+const cache = new TieredCache({
+	l1: {maxSize: 100},
+	l2: new QuickLRU({maxSize: 10_000}),
+});
+
+await cache.set('🦄', '🌈');
+await cache.get('🦄');
+//=> '🌈'
+```
+*/
+export default class TieredCache<KeyType, ValueType> {
+	constructor(options: Options<KeyType, ValueType>)
+
+	/**
+	The first tier.
+	*/
+	get l1(): QuickLRU<KeyType, ValueType>
+
+	/**
+	The second tier.
+	*/
+	get l2(): QuickLRU<KeyType, ValueType> | Store<KeyType, StoredRecord>
+
+	/**
+	Get an item from either tier, promoting it into L1 when it comes from L2.
+	*/
+	get(key: KeyType): Promise<ValueType | undefined>
+
+	/**
+	Set an item in L1, removing any copy from L2.
+
+	With a `Store` as L2, the keys in the store are listed once, by the first call. After that, only keys that were listed, demoted or found in the store are deleted from it, so the store should not be written to by anything else.
+
+	@returns The cache instance.
+	*/
+	set(key: KeyType, value: ValueType, options?: { maxAge?: number; maxIdle?: number }): Promise<this>
+
+	/**
+	Check if an item exists in either tier.
+	*/
+	has(key: KeyType): Promise<boolean>
+
+	/**
+	Get an item from either tier without marking it as recently used or promoting it.
+	*/
+	peek(key: KeyType): Promise<ValueType | undefined>
+
+	/**
+	Delete an item from both tiers.
+
+	@returns `true` if the item is removed or `false` if the item doesn't exist.
+	*/
+	delete(key: KeyType): Promise<boolean>
+
+	/**
+	Delete all items from both tiers.
+	*/
+	clear(): Promise<void>
+}
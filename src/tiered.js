@@ -0,0 +1,270 @@
+import QuickLRU from './index.js'
+import isStore from './is-store.js'
+
+export default class TieredCache {
+	#l1
+	#l2
+	#serialize
+	#deserialize
+	#demoting = new Map()
+	// Keys that may have a record in a store L2, so `set()` only deletes those. Each maps to the
+	// number of the demotion that wrote its record, or 0 when the record was found in the store.
+	#stored = new Map()
+	#demotions = 0
+	#listing
+
+	constructor(options = {}) {
+		const { l1, l2, serialize, deserialize } = options
+		if (typeof l1 !== 'object' || l1 === null) {
+			throw new TypeError('`l1` must be an options object')
+		}
+
+		if (!(l2 instanceof QuickLRU) && !isStore(l2)) {
+			throw new TypeError('`l2` must be a QuickLRU instance or a store')
+		}
+
+		this.#l1 = new QuickLRU({
+			...l1,
+			onRemove: (key, value, reason) => {
+				if (reason === 'evict' || reason === 'resize') {
+					this.#demote(key, value)
+				}
+
+				l1.onRemove?.(key, value, reason)
+			},
+		})
+		this.#l2 = l2
+		this.#serialize = serialize
+		this.#deserialize = deserialize
+	}
+
+	get l1() {
+		return this.#l1
+	}
+
+	get l2() {
+		return this.#l2
+	}
+
+	#demote(key, value) {
+		// Called right before the item leaves L1, so its expiry is still there.
+		const maxAge = this.#l1.expiresIn(key)
+		if (maxAge <= 0) {
+			return
+		}
+
+		if (this.#l2 instanceof QuickLRU) {
+			this.#l2.set(key, value, { maxAge })
+			return
+		}
+
+		this.#stored.set(key, ++this.#demotions)
+		const write = this.#l2.set(key, {
+			value: this.#serialize ? this.#serialize(value, key) : value,
+			expiresAt:
+				maxAge === Number.POSITIVE_INFINITY ? null : this.#l1.now() + maxAge,
+		})
+		this.#demoting.set(key, write)
+		// A failed demotion only loses the item, like any other eviction.
+		void write
+			.catch(() => undefined)
+			.finally(() => {
+				if (this.#demoting.get(key) === write) {
+					this.#demoting.delete(key)
+				}
+			})
+	}
+
+	async #settleDemotion(key) {
+		await this.#demoting.get(key)?.catch(() => undefined)
+	}
+
+	// The records already in the store are listed once. Object keys read back from a store are
+	// copies, so they cannot be looked up and are assumed to be stored.
+	async #mayBeStored(key) {
+		if (
+			(typeof key === 'object' && key !== null) ||
+			typeof key === 'function'
+		) {
+			return true
+		}
+
+		this.#listing ??= this.#listStored()
+		await this.#listing
+		return this.#stored.has(key)
+	}
+
+	async #listStored() {
+		try {
+			for (const key of await this.#l2.keys()) {
+				this.#found(key)
+			}
+		} catch (error) {
+			this.#listing = undefined
+			throw error
+		}
+	}
+
+	#found(key) {
+		if (!this.#stored.has(key)) {
+			this.#stored.set(key, 0)
+		}
+	}
+
+	// Whether the key was demoted after `demotions` was read. Its record is newer than anything
+	// read or decided before, so it must not be deleted.
+	#demotedSince(key, demotions) {
+		return (this.#stored.get(key) ?? 0) > demotions
+	}
+
+	#unstore(key) {
+		if (!this.#demoting.has(key)) {
+			this.#stored.delete(key)
+		}
+	}
+
+	async #readL2(key, { remove }) {
+		if (this.#l2 instanceof QuickLRU) {
+			// Only `has()` counts as a lookup in the stats of L2.
+			const item = this.#l2.has(key) ? this.#l2.peekEntry(key) : undefined
+			if (item === undefined) {
+				return
+			}
+
+			const entry = { value: item.value, maxAge: this.#l2.expiresIn(key) }
+			if (remove) {
+				this.#l2.delete(key)
+			}
+
+			return entry
+		}
+
+		const demotions = this.#demotions
+		await this.#settleDemotion(key)
+		const record = await this.#l2.get(key)
+		if (this.#demotedSince(key, demotions)) {
+			return this.#readL2(key, { remove })
+		}
+
+		if (record === undefined) {
+			this.#unstore(key)
+			return
+		}
+
+		this.#found(key)
+
+		const maxAge =
+			typeof record.expiresAt === 'number'
+				? record.expiresAt - this.#l1.now()
+				: Number.POSITIVE_INFINITY
+		if (maxAge <= 0 || remove) {
+			await this.#l2.delete(key)
+			this.#unstore(key)
+		}
+
+		if (maxAge <= 0) {
+			return
+		}
+
+		return {
+			value: this.#deserialize
+				? this.#deserialize(record.value, key)
+				: record.value,
+			maxAge,
+		}
+	}
+
+	async #deleteFromL2(key, { report }) {
+		if (this.#l2 instanceof QuickLRU) {
+			return this.#l2.delete(key)
+		}
+
+		const demotions = this.#demotions
+
+		// `delete()` reads the record anyway to tell whether there was one, so it does not rely on the
+		// keys that may be stored.
+		if (!report && !(await this.#mayBeStored(key))) {
+			return false
+		}
+
+		await this.#settleDemotion(key)
+		const deleted = report && (await this.#l2.get(key)) !== undefined
+		if (this.#demotedSince(key, demotions)) {
+			return deleted
+		}
+
+		await this.#l2.delete(key)
+		this.#unstore(key)
+		return deleted
+	}
+
+	// Each read counts as one lookup in the stats of L1. `peekEntry()` tells a stored `undefined`
+	// from a miss without counting another one.
+	async get(key) {
+		const value = this.#l1.get(key)
+		if (value !== undefined || this.#l1.peekEntry(key) !== undefined) {
+			return value
+		}
+
+		const entry = await this.#readL2(key, { remove: true })
+		if (entry === undefined) {
+			return
+		}
+
+		// Another call may have set the key while L2 was being read.
+		const current = this.#l1.peekEntry(key)
+		if (current !== undefined) {
+			return current.value
+		}
+
+		this.#l1.set(key, entry.value, { maxAge: entry.maxAge })
+		return entry.value
+	}
+
+	async set(key, value, options) {
+		this.#l1.set(key, value, options)
+		// Keep the tiers exclusive, so an outdated L2 copy never resurfaces.
+		await this.#deleteFromL2(key, { report: false })
+		return this
+	}
+
+	async has(key) {
+		if (this.#l1.has(key)) {
+			return true
+		}
+
+		return (await this.#readL2(key, { remove: false })) !== undefined
+	}
+
+	async peek(key) {
+		const value = this.#l1.peek(key)
+		if (value !== undefined || this.#l1.peekEntry(key) !== undefined) {
+			return value
+		}
+
+		const entry = await this.#readL2(key, { remove: false })
+		return entry?.value
+	}
+
+	async delete(key) {
+		const deleted = this.#l1.delete(key)
+		return (await this.#deleteFromL2(key, { report: true })) || deleted
+	}
+
+	async clear() {
+		this.#l1.clear()
+		if (this.#l2 instanceof QuickLRU) {
+			this.#l2.clear()
+			return
+		}
+
+		await Promise.all(
+			[...this.#demoting.values()].map(write => write.catch(() => undefined)),
+		)
+		const keys = await this.#l2.keys()
+		await Promise.all([...keys].map(key => this.#l2.delete(key)))
+		for (const key of this.#stored.keys()) {
+			this.#unstore(key)
+		}
+	}
+}
@@ -0,0 +1,80 @@
+import QuickLRU, { type Options as QuickLRUOptions, type Store } from './index.js'
+
+/**
+The record `WriteBehindLRU` writes to its store for each item.
+*/
+export interface StoredRecord {
+	/**
+	The value, after passing through the `serialize` option when it is given.
+	*/
+	value: unknown
+
+	/**
+	When the item expires, as a time of the cache's `now` clock, or `null` when it never expires.
+	*/
+	expiresAt: number | null
+}
+
+export interface Options<KeyType, ValueType> extends QuickLRUOptions<KeyType, ValueType> {
+	/**
+	Where the items are persisted.
+	*/
+	readonly store: Store<KeyType, StoredRecord>
+
+	/**
+	Call `flush()` every `flushInterval` milliseconds. The timer is `unref`'d, so it does not keep a Node.js process alive.
+
+	By default, changes are only written by explicit `flush()` and `close()` calls.
+	*/
+	readonly flushInterval?: number
+
+	/**
+	The maximum number of store operations to run at the same time.
+
+	@default 100
+	*/
+	readonly batchSize?: number
+
+	/**
+	Called when a flush started by `flushInterval` fails. The failed keys are retried by the next flush.
+	*/
+	onFlushError?: (error: unknown) => void
+}
+
+/**
+A `QuickLRU` that persists its items to a `Store` without waiting for it on every `set()`.
+
+Changed keys are tracked and written in batches by `flush()`. Items that are evicted, expire, or are deleted or cleared are removed from the store as well.
+*/
+export default class WriteBehindLRU<KeyType, ValueType> extends QuickLRU<KeyType, ValueType> {
+	constructor(options: Options<KeyType, ValueType>)
+
+	/**
+	The store the items are persisted to.
+	*/
+	get store(): Store<KeyType, StoredRecord>
+
+	/**
+	The number of keys with changes that have not been flushed yet.
+	*/
+	get dirtySize(): number
+
+	/**
+	Load the items of the store into the cache. Expired records are skipped, and removed from the store by the next flush.
+
+	@returns The cache instance.
+	*/
+	restore(): Promise<this>
+
+	/**
+	Write all pending changes to the store.
+
+	Failed writes are kept to be retried by the next flush, and the first error is thrown.
+	*/
+	flush(): Promise<void>
+
+	/**
+	Stop the `flushInterval` timer and write all pending changes to the store.
+	*/
+	close(): Promise<void>
+}
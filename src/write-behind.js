@@ -0,0 +1,176 @@
+import QuickLRU from './index.js'
+import isStore from './is-store.js'
+
+export default class WriteBehindLRU extends QuickLRU {
+	#store
+	#batchSize
+	#serialize
+	#onFlushError
+	#dirty = new Map()
+	#flushing = Promise.resolve()
+	#restoring = false
+	#timer
+
+	constructor(options = {}) {
+		const {
+			store,
+			flushInterval,
+			batchSize = 100,
+			onFlushError,
+			...cacheOptions
+		} = options
+
+		if (!isStore(store)) {
+			throw new TypeError(
+				'`store` must implement `get()`, `set()`, `delete()` and `keys()`',
+			)
+		}
+
+		if (!(batchSize > 0)) {
+			throw new TypeError('`batchSize` must be a number greater than 0')
+		}
+
+		if (flushInterval !== undefined && !(flushInterval > 0)) {
+			throw new TypeError('`flushInterval` must be a number greater than 0')
+		}
+
+		super({
+			...cacheOptions,
+			onRemove: (key, value, reason) => {
+				// The store is updated by the `set()` that caused the overwrite.
+				if (reason !== 'overwrite') {
+					this.#dirty.set(key, 'delete')
+				}
+
+				cacheOptions.onRemove?.(key, value, reason)
+			},
+		})
+
+		this.#store = store
+		this.#batchSize = batchSize
+		this.#serialize = cacheOptions.serialize
+		this.#onFlushError = onFlushError
+		if (flushInterval !== undefined) {
+			this.#timer = globalThis.setInterval(() => {
+				void this.#flushInBackground()
+			}, flushInterval)
+			this.#timer.unref?.()
+		}
+	}
+
+	get store() {
+		return this.#store
+	}
+
+	get dirtySize() {
+		return this.#dirty.size
+	}
+
+	set(key, value, options) {
+		super.set(key, value, options)
+		if (!this.#restoring) {
+			this.#dirty.set(key, 'set')
+		}
+
+		return this
+	}
+
+	async restore() {
+		const keys = await this.#store.keys()
+		const stored = await Promise.all(keys.map(key => this.#store.get(key)))
+		const now = this.now()
+		const records = []
+		for (const [index, key] of keys.entries()) {
+			const record = stored[index]
+			if (record === undefined) {
+				continue
+			}
+
+			if (typeof record.expiresAt === 'number' && record.expiresAt <= now) {
+				this.#dirty.set(key, 'delete')
+				continue
+			}
+
+			records.push({ key, ...record })
+		}
+
+		this.#restoring = true
+		try {
+			this.load(records)
+		} finally {
+			this.#restoring = false
+		}
+
+		return this
+	}
+
+	flush() {
+		const flushing = this.#flushing.then(() => this.#writeDirty())
+		this.#flushing = flushing.catch(() => undefined)
+		return flushing
+	}
+
+	async #flushInBackground() {
+		try {
+			await this.flush()
+		} catch (error) {
+			this.#onFlushError?.(error)
+		}
+	}
+
+	async close() {
+		globalThis.clearInterval(this.#timer)
+		this.#timer = undefined
+		await this.flush()
+	}
+
+	async #writeDirty() {
+		while (this.#dirty.size > 0) {
+			const batch = []
+			for (const entry of this.#dirty) {
+				batch.push(entry)
+				if (batch.length >= this.#batchSize) {
+					break
+				}
+			}
+
+			for (const [key] of batch) {
+				this.#dirty.delete(key)
+			}
+
+			const results = await Promise.allSettled(
+				batch.map(([key, operation]) => this.#write(key, operation)),
+			)
+
+			let firstError
+			for (const [index, result] of results.entries()) {
+				if (result.status === 'rejected') {
+					firstError ??= result.reason
+					const [key, operation] = batch[index]
+					// Retry on the next flush, unless the key changed again in the meantime.
+					if (!this.#dirty.has(key)) {
+						this.#dirty.set(key, operation)
+					}
+				}
+			}
+
+			if (firstError !== undefined) {
+				throw firstError
+			}
+		}
+	}
+
+	async #write(key, operation) {
+		// Read without counting a lookup, so flushing does not show up in the stats.
+		const entry = operation === 'set' ? this.peekEntry(key) : undefined
+		if (entry === undefined) {
+			await this.#store.delete(key)
+			return
+		}
+
+		await this.#store.set(key, {
+			value: this.#serialize ? this.#serialize(entry.value, key) : entry.value,
+			expiresAt: entry.expiresAt,
+		})
+	}
+}
@@ -0,0 +1,183 @@
+import { once } from 'node:events'
+import { setTimeout as delay } from 'node:timers/promises'
+import {
+	BroadcastChannel,
+	MessageChannel,
+	Worker,
+	threadId,
+} from 'node:worker_threads'
+
+import { expect, test } from 'vitest'
+
+import BroadcastLRU from '../src/broadcast.js'
+
+const connectedPair = options => {
+	const { port1, port2 } = new MessageChannel()
+	const a = new BroadcastLRU({ maxSize: 10, ...options, channel: port1 })
+	const b = new BroadcastLRU({ maxSize: 10, ...options, channel: port2 })
+	const close = () => {
+		a.close()
+		b.close()
+		port1.close()
+	}
+
+	return { a, b, port1, port2, close }
+}
+
+test('throws on invalid options', () => {
+	expect(() => {
+		new BroadcastLRU({ maxSize: 10 })
+	}).toThrow(/channel/)
+})
+
+// Resolves after the cache listening on `port` has handled the next message.
+const nextMessage = port => once(port, 'message')
+
+test('deletes, clears and tag invalidations reach the peer', async () => {
+	const { a, b, port1, port2, close } = connectedPair()
+	try {
+		for (const cache of [a, b]) {
+			cache.set('a', 1)
+			cache.set('b', 2, { tags: ['users'] })
+			cache.set('c', 3)
+		}
+
+		a.delete('a')
+		await nextMessage(port2)
+		expect([...b.keys()]).toEqual(['b', 'c'])
+
+		b.invalidateTag('users')
+		await nextMessage(port1)
+		expect([...a.keys()]).toEqual(['c'])
+
+		a.clear()
+		await nextMessage(port2)
+		expect(b.size).toBe(0)
+	} finally {
+		close()
+	}
+})
+
+test('tags given as a one-shot iterable reach the peer', async () => {
+	const { a, b, port2, close } = connectedPair()
+	try {
+		for (const cache of [a, b]) {
+			cache.set('a', 1, { tags: ['users'] })
+			cache.set('b', 2)
+		}
+
+		const tags = function* () {
+			yield 'users'
+		}
+
+		expect(a.invalidateTags(tags())).toBe(1)
+		await nextMessage(port2)
+		expect([...b.keys()]).toEqual(['b'])
+	} finally {
+		close()
+	}
+})
+
+test('sets are only sent with `propagateSets`', async () => {
+	const plain = connectedPair()
+	try {
+		plain.a.set('a', 1)
+		await delay(10)
+		expect(plain.b.has('a')).toBe(false)
+	} finally {
+		plain.close()
+	}
+
+	const { a, b, port2, close } = connectedPair({
+		propagateSets: true,
+		serialize: value => [...value],
+		deserialize: value => new Set(value),
+	})
+	try {
+		a.set('a', new Set([1, 2]), { maxAge: 1000, tags: ['numbers'] })
+		await nextMessage(port2)
+		expect(b.get('a')).toEqual(new Set([1, 2]))
+		expect(b.expiresIn('a') > 900).toBe(true)
+		a.invalidateTag('numbers')
+		await nextMessage(port2)
+		expect(b.has('a')).toBe(false)
+	} finally {
+		close()
+	}
+})
+
+test('received changes are not sent back', async () => {
+	const { a, b, port1, port2, close } = connectedPair({ propagateSets: true })
+	const echoes = []
+	port1.addEventListener('message', event => {
+		echoes.push(event.data)
+	})
+	try {
+		a.set('a', 1)
+		await nextMessage(port2)
+		expect(b.has('a')).toBe(true)
+		a.delete('a')
+		await nextMessage(port2)
+		a.clear()
+		await nextMessage(port2)
+		await delay(10)
+		expect(b.size).toBe(0)
+		expect(echoes).toEqual([])
+	} finally {
+		close()
+	}
+})
+
+test('ignores other messages and stops after close()', async () => {
+	const { a, b, port1, port2, close } = connectedPair()
+	try {
+		b.set('a', 1)
+		port1.postMessage({ type: 'clear' })
+		await nextMessage(port2)
+		port1.postMessage('clear')
+		await nextMessage(port2)
+		expect(b.has('a')).toBe(true)
+
+		b.close()
+		a.delete('a')
+		await nextMessage(port2)
+		expect(b.has('a')).toBe(true)
+	} finally {
+		close()
+	}
+})
+
+test('keeps caches in worker threads in sync', async () => {
+	const name = `quick-lru-${threadId}-${Date.now()}`
+	const moduleUrl = new URL('../src/broadcast.js', import.meta.url).href
+	const worker = new Worker(
+		`
+		const { BroadcastChannel, parentPort } = require('node:worker_threads')
+		import(${JSON.stringify(moduleUrl)}).then(({ default: BroadcastLRU }) => {
+			const channel = new BroadcastChannel(${JSON.stringify(name)})
+			const cache = new BroadcastLRU({ maxSize: 10, channel })
+			cache.set('a', 1)
+			cache.set('b', 2)
+			// Registered after the cache, so it reports the keys once the change is applied.
+			channel.addEventListener('message', () => {
+				parentPort.postMessage([...cache.keys()])
+			})
+			parentPort.postMessage('ready')
+		})
+		`,
+		{ eval: true },
+	)
+	const channel = new BroadcastChannel(name)
+	const cache = new BroadcastLRU({ maxSize: 10, channel })
+	try {
+		const [ready] = await once(worker, 'message')
+		expect(ready).toBe('ready')
+		cache.delete('a')
+		const [keys] = await once(worker, 'message')
+		expect(keys).toEqual(['b'])
+	} finally {
+		cache.close()
+		channel.close()
+		await worker.terminate()
+	}
+})
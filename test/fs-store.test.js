@@ -0,0 +1,59 @@
+import { mkdtemp, readdir, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+import { afterEach, beforeEach, expect, test } from 'vitest'
+
+import FileSystemStore from '../src/fs-store.js'
+
+let directory
+
+beforeEach(async () => {
+	directory = await mkdtemp(path.join(tmpdir(), 'quick-lru-'))
+})
+
+afterEach(async () => {
+	await rm(directory, { recursive: true, force: true })
+})
+
+test('throws on invalid directory', () => {
+	expect(() => {
+		new FileSystemStore('')
+	}).toThrow(/directory/)
+})
+
+test('.set() / .get() / .delete()', async () => {
+	const store = new FileSystemStore(directory)
+	expect(store.directory).toBe(directory)
+	expect(await store.get('a')).toBe(undefined)
+	await store.set('a', { value: 1 })
+	expect(await store.get('a')).toEqual({ value: 1 })
+	await store.set('a', { value: 2 })
+	expect(await store.get('a')).toEqual({ value: 2 })
+	await store.delete('a')
+	expect(await store.get('a')).toBe(undefined)
+	await store.delete('a')
+})
+
+test('.keys() returns the original keys', async () => {
+	const store = new FileSystemStore(directory)
+	const key = { refName: 'chr1', start: 0, end: 1000 }
+	await store.set('a/b', 1)
+	await store.set(key, 2)
+	expect(await store.keys()).toHaveLength(2)
+	expect(await store.keys()).toContainEqual('a/b')
+	expect(await store.keys()).toContainEqual(key)
+	expect(await readdir(directory)).toHaveLength(2)
+})
+
+test('creates the directory on the first write', async () => {
+	const store = new FileSystemStore(path.join(directory, 'nested', 'cache'))
+	expect(await store.keys()).toEqual([])
+	await store.set('a', 1)
+	expect(await store.keys()).toEqual(['a'])
+})
+
+test('persists across instances', async () => {
+	await new FileSystemStore(directory).set('a', 1)
+	expect(await new FileSystemStore(directory).get('a')).toBe(1)
+})
@@ -1,8 +1,9 @@
 import { setTimeout as delay } from 'node:timers/promises'
+import { inspect } from 'node:util'
 
 import { expect, test } from 'vitest'
 
-import QuickLRU from '../src/index.js'
+import QuickLRU, { estimateSize } from '../src/index.js'
 
 const lruWithDuplicates = () => {
 	const lru = new QuickLRU({ maxSize: 2 })
@@ -1791,3 +1792,1931 @@ test('.evict() with custom maxAge and global maxAge interaction', async () => {
 	expect(lru.size).toBe(1)
 	expect(lru.has('noglobal')).toBe(true) // Most recent should remain
 })
+
+test('.fetch() returns cached items without calling the loader', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	lru.set('a', 1)
+	let calls = 0
+	const value = await lru.fetch('a', () => {
+		calls++
+		return 2
+	})
+	expect(value).toBe(1)
+	expect(calls).toBe(0)
+})
+
+test('.fetch() loads and stores missing items', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const value = await lru.fetch('a', async key => `${key}!`)
+	expect(value).toBe('a!')
+	expect(lru.get('a')).toBe('a!')
+})
+
+test('.fetch() shares one pending load between concurrent callers', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	let calls = 0
+	const loader = async () => {
+		calls++
+		await delay(10)
+		return calls
+	}
+
+	const first = lru.fetch('a', loader)
+	const second = lru.fetch('a', loader)
+	expect(first).toBe(second)
+	expect(await Promise.all([first, second])).toEqual([1, 1])
+	expect(calls).toBe(1)
+	expect(lru.has('a')).toBe(true)
+})
+
+test('.fetch() does not store anything when the loader rejects', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	let calls = 0
+	const loader = async () => {
+		calls++
+		throw new Error('nope')
+	}
+
+	await expect(lru.fetch('a', loader)).rejects.toThrow('nope')
+	expect(lru.has('a')).toBe(false)
+	await expect(lru.fetch('a', loader)).rejects.toThrow('nope')
+	expect(calls).toBe(2)
+})
+
+test('.fetch() reloads expired items', async () => {
+	const lru = new QuickLRU({ maxSize: 10, maxAge: 20 })
+	await lru.fetch('a', () => 1)
+	await delay(30)
+	expect(await lru.fetch('a', () => 2)).toBe(2)
+})
+
+test('maxWeight: throws on invalid value', () => {
+	expect(() => {
+		new QuickLRU({ maxSize: 10, maxWeight: 0 })
+	}).toThrow(/maxWeight/)
+	expect(() => {
+		new QuickLRU({ maxWeight: 10, sizeCalculation: 'length' })
+	}).toThrow(/sizeCalculation/)
+})
+
+test('maxWeight: maxSize is optional', () => {
+	const lru = new QuickLRU({ maxWeight: 10 })
+	expect(lru.maxSize).toBe(Number.POSITIVE_INFINITY)
+	expect(lru.maxWeight).toBe(10)
+})
+
+test('maxWeight: evicts least recently used items to fit the budget', () => {
+	const evicted = []
+	const lru = new QuickLRU({
+		maxWeight: 10,
+		sizeCalculation: value => value,
+		onEviction(key) {
+			evicted.push(key)
+		},
+	})
+	lru.set('a', 4)
+	lru.set('b', 4)
+	lru.set('c', 4)
+	expect(evicted).toEqual(['a'])
+	lru.get('b')
+	lru.set('d', 4)
+	expect(evicted).toEqual(['a', 'c'])
+	expect(lru.weight).toBe(8)
+	expect([...lru.keys()].sort()).toEqual(['b', 'd'])
+})
+
+test('maxWeight: overwriting an item updates the weight', () => {
+	const lru = new QuickLRU({
+		maxWeight: 10,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 2)
+	lru.set('b', 2)
+	lru.set('a', 8)
+	expect(lru.weight).toBe(10)
+	lru.set('b', 5)
+	expect(lru.has('a')).toBe(false)
+	expect(lru.weight).toBe(5)
+})
+
+test('maxWeight: the outdated copy of an overwritten item does not count', () => {
+	const lru = new QuickLRU({
+		maxSize: 2,
+		maxWeight: 100,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 5)
+	lru.set('b', 1)
+	lru.set('a', 5)
+	expect(lru.weight).toBe(6)
+	lru.set('a', 7)
+	expect(lru.weight).toBe(8)
+	lru.delete('a')
+	expect(lru.weight).toBe(1)
+	lru.set('a', 5)
+	lru.set('c', 2)
+	lru.set('c', 3)
+	expect([...lru.keys()].sort()).toEqual(['a', 'c'])
+	expect(lru.weight).toBe(8)
+	lru.resize(10)
+	expect(lru.weight).toBe(8)
+})
+
+test('maxWeight: rejects items heavier than the whole budget', () => {
+	const lru = new QuickLRU({
+		maxWeight: 10,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 2)
+	lru.set('b', 3)
+	lru.set('a', 11)
+	expect(lru.has('a')).toBe(false)
+	expect(lru.get('b')).toBe(3)
+	expect(lru.weight).toBe(3)
+})
+
+test('maxWeight: throws when sizeCalculation returns an invalid weight', () => {
+	const lru = new QuickLRU({ maxWeight: 10, sizeCalculation: () => -1 })
+	expect(() => {
+		lru.set('a', 1)
+	}).toThrow(/sizeCalculation/)
+})
+
+test('maxWeight: combines with maxSize', () => {
+	const lru = new QuickLRU({
+		maxSize: 2,
+		maxWeight: 100,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 1)
+	lru.set('b', 1)
+	lru.set('c', 1)
+	lru.set('d', 1)
+	expect(lru.has('a')).toBe(false)
+	expect(lru.weight).toBe(2)
+})
+
+test('maxWeight: delete(), clear(), resize() and evict() keep the weight', () => {
+	const lru = new QuickLRU({
+		maxWeight: 100,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 4)
+	lru.set('d', 8)
+	lru.delete('a')
+	expect(lru.weight).toBe(14)
+	lru.evict()
+	expect(lru.weight).toBe(12)
+	lru.resize(1)
+	expect(lru.weight).toBe(8)
+	lru.clear()
+	expect(lru.weight).toBe(0)
+})
+
+test('maxWeight: estimates strings, typed arrays and ArrayBuffers by default', () => {
+	const lru = new QuickLRU({ maxWeight: 64 })
+	lru.set('string', 'abcd')
+	lru.set('buffer', new ArrayBuffer(16))
+	lru.set('view', new Float64Array(2))
+	lru.set('other', { a: 1 })
+	expect(lru.weight).toBe(8 + 16 + 16 + 1)
+	lru.set('big', new Uint8Array(40))
+	expect(lru.has('string')).toBe(false)
+	expect(lru.has('big')).toBe(true)
+})
+
+test('estimateSize()', () => {
+	expect(estimateSize('ab')).toBe(4)
+	expect(estimateSize(new ArrayBuffer(3))).toBe(3)
+	expect(estimateSize(new Int32Array(3))).toBe(12)
+	expect(estimateSize(new DataView(new ArrayBuffer(5)))).toBe(5)
+	expect(estimateSize(42)).toBe(1)
+})
+
+const recordRemovals = options => {
+	const removals = []
+	const evictions = []
+	const lru = new QuickLRU({
+		...options,
+		onRemove(key, value, reason) {
+			removals.push([key, value, reason])
+		},
+		onEviction(key, value, reason) {
+			evictions.push([key, value, reason])
+		},
+	})
+	return { lru, removals, evictions }
+}
+
+test('onRemove: LRU eviction', () => {
+	const { lru, removals, evictions } = recordRemovals({ maxSize: 1 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	expect(removals).toEqual([['a', 1, 'evict']])
+	expect(evictions).toEqual([['a', 1, 'evict']])
+})
+
+test('onRemove: expiry', async () => {
+	const { lru, removals, evictions } = recordRemovals({
+		maxSize: 10,
+		maxAge: 20,
+	})
+	lru.set('a', 1)
+	await delay(30)
+	expect(lru.get('a')).toBe(undefined)
+	expect(removals).toEqual([['a', 1, 'expire']])
+	expect(evictions).toEqual([['a', 1, 'expire']])
+})
+
+test('onRemove: resize() and evict()', () => {
+	const { lru, removals, evictions } = recordRemovals({ maxSize: 10 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 3)
+	lru.evict()
+	lru.resize(1)
+	expect(removals).toEqual([
+		['a', 1, 'evict'],
+		['b', 2, 'resize'],
+	])
+	expect(evictions).toEqual(removals)
+})
+
+test('onRemove: delete(), clear() and overwrites do not call onEviction', () => {
+	const { lru, removals, evictions } = recordRemovals({ maxSize: 10 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 3)
+	lru.set('a', 4)
+	lru.delete('b')
+	lru.delete('b')
+	lru.clear()
+	expect(removals).toEqual([
+		['a', 1, 'overwrite'],
+		['b', 2, 'delete'],
+		['a', 4, 'clear'],
+		['c', 3, 'clear'],
+	])
+	expect(evictions).toEqual([])
+})
+
+test('onRemove: setting the same value again is not an overwrite', () => {
+	const { lru, removals } = recordRemovals({ maxSize: 10 })
+	const value = {}
+	lru.set('a', value)
+	lru.set('a', value)
+	expect(removals).toEqual([])
+})
+
+test('onRemove: overwritten items in the old cache are only reported once', () => {
+	const { lru, removals } = recordRemovals({ maxSize: 2 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('a', 3)
+	lru.set('c', 4)
+	lru.set('d', 5)
+	expect(removals).toEqual([
+		['a', 1, 'overwrite'],
+		['b', 2, 'evict'],
+	])
+	expect(lru.has('a')).toBe(true)
+})
+
+test('onEviction: a replaced value is still reported once it is evicted', () => {
+	const { lru, removals, evictions } = recordRemovals({ maxSize: 2 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('a', 11)
+	lru.set('c', 3)
+	expect(removals).toEqual([
+		['a', 1, 'overwrite'],
+		['b', 2, 'evict'],
+	])
+	expect(evictions).toEqual([
+		['a', 1, 'evict'],
+		['b', 2, 'evict'],
+	])
+
+	// The same value set again is still stored, so it is not reported.
+	lru.set('c', 3)
+	lru.set('d', 4)
+	expect(evictions.slice(2)).toEqual([['a', 11, 'evict']])
+	expect(lru.get('c')).toBe(3)
+})
+
+test('onRemove: rejected oversized value removes the previous one', () => {
+	const { lru, removals } = recordRemovals({
+		maxWeight: 10,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 5)
+	lru.set('a', 20)
+	expect(removals).toEqual([['a', 5, 'overwrite']])
+	expect(lru.has('a')).toBe(false)
+})
+
+test('loader: throws on invalid options', () => {
+	expect(() => {
+		new QuickLRU({ maxSize: 10, loader: 'nope' })
+	}).toThrow(/loader/)
+	expect(() => {
+		new QuickLRU({ maxSize: 10, refreshAhead: -1 })
+	}).toThrow(/refreshAhead/)
+	expect(() => {
+		void new QuickLRU({ maxSize: 10 }).fetch('a')
+	}).toThrow(/loader/)
+})
+
+test('.fetch() uses the loader option by default', async () => {
+	const lru = new QuickLRU({ maxSize: 10, loader: key => `${key}!` })
+	expect(await lru.fetch('a')).toBe('a!')
+	expect(await lru.fetch('b', () => 'b?')).toBe('b?')
+})
+
+test('allowStale: get() returns an expired item once and reloads it', async () => {
+	let calls = 0
+	const lru = new QuickLRU({
+		maxSize: 10,
+		maxAge: 20,
+		allowStale: true,
+		async loader() {
+			calls++
+			await delay(10)
+			return 'fresh'
+		},
+	})
+	lru.set('a', 'stale')
+	await delay(30)
+	expect(lru.get('a')).toBe('stale')
+	expect(lru.get('a')).toBe(undefined)
+	expect(calls).toBe(1)
+	expect(await lru.fetch('a')).toBe('fresh')
+	expect(calls).toBe(1)
+	expect(lru.get('a')).toBe('fresh')
+})
+
+test('allowStale: works without a loader', async () => {
+	const lru = new QuickLRU({ maxSize: 10, maxAge: 20, allowStale: true })
+	lru.set('a', 'stale')
+	await delay(30)
+	expect(lru.get('a')).toBe('stale')
+	expect(lru.has('a')).toBe(false)
+})
+
+test('allowStale: fetch() returns an expired item and reloads it', async () => {
+	const lru = new QuickLRU({
+		maxSize: 10,
+		maxAge: 20,
+		allowStale: true,
+		loader: () => 'fresh',
+	})
+	lru.set('a', 'stale')
+	await delay(30)
+	expect(await lru.fetch('a')).toBe('stale')
+	expect(await lru.fetch('a')).toBe('fresh')
+})
+
+test('allowStale: failed background reloads are not reported as unhandled', async () => {
+	const lru = new QuickLRU({
+		maxSize: 10,
+		maxAge: 20,
+		allowStale: true,
+		async loader(key) {
+			if (key === 'a') {
+				throw new Error('nope')
+			}
+
+			return key
+		},
+	})
+	lru.set('a', 'stale')
+	await delay(30)
+	expect(lru.get('a')).toBe('stale')
+	await delay(0)
+	expect(lru.has('a')).toBe(false)
+})
+
+test('refreshAhead: reloads items that are close to expiry', async () => {
+	let calls = 0
+	const lru = new QuickLRU({
+		maxSize: 10,
+		maxAge: 1000,
+		refreshAhead: 950,
+		loader() {
+			calls++
+			return 'fresh'
+		},
+	})
+	lru.set('a', 'old')
+	expect(lru.get('a')).toBe('old')
+	expect(calls).toBe(0)
+	await delay(60)
+	expect(lru.get('a')).toBe('old')
+	expect(lru.get('a')).toBe('old')
+	expect(calls).toBe(1)
+	await delay(0)
+	expect(lru.get('a')).toBe('fresh')
+	expect(lru.expiresIn('a') > 950).toBe(true)
+})
+
+test('allowStale: reloads keep the options of the item', async () => {
+	const lru = new QuickLRU({
+		maxSize: 10,
+		allowStale: true,
+		loader: () => 'fresh',
+	})
+	lru.set('a', 'stale', { maxAge: 20, tags: ['track'] })
+	lru.set('b', 'stale', { maxIdle: 20 })
+	await delay(30)
+	expect(lru.get('a')).toBe('stale')
+	expect(lru.get('b')).toBe('stale')
+	await delay(0)
+	expect(lru.get('a')).toBe('fresh')
+	expect(lru.expiresIn('a') <= 20).toBe(true)
+	expect(lru.get('b')).toBe('fresh')
+	expect(lru.expiresIn('b') <= 20).toBe(true)
+	expect(lru.invalidateTag('track')).toBe(1)
+	expect(lru.has('a')).toBe(false)
+})
+
+test('refreshAhead: reloads keep the options of the item', async () => {
+	const lru = new QuickLRU({
+		maxSize: 10,
+		refreshAhead: 950,
+		loader: () => 'fresh',
+	})
+	lru.set('a', 'old', { maxAge: 1000, tags: ['track'] })
+	await delay(60)
+	expect(lru.get('a')).toBe('old')
+	await delay(0)
+	expect(lru.get('a')).toBe('fresh')
+	expect(lru.expiresIn('a') > 950).toBe(true)
+	expect(lru.expiresIn('a') <= 1000).toBe(true)
+	expect(lru.invalidateTag('track')).toBe(1)
+	expect(lru.has('a')).toBe(false)
+})
+
+test('.purgeStale() removes all expired items', async () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 3 })
+	lru.set('a', 1, { maxAge: 20 })
+	lru.set('b', 2)
+	lru.set('c', 3, { maxAge: 20 })
+	lru.set('d', 4, { maxAge: 1000 })
+	expect(lru.purgeStale()).toBe(0)
+	await delay(30)
+	expect(lru.purgeStale()).toBe(2)
+	expect(evictions).toEqual([
+		['a', 1, 'expire'],
+		['c', 3, 'expire'],
+	])
+	expect([...lru.keys()].sort()).toEqual(['b', 'd'])
+})
+
+test('ttlAutopurge: removes items when they expire', async () => {
+	const { lru, evictions } = recordRemovals({
+		maxSize: 10,
+		maxAge: 20,
+		ttlAutopurge: true,
+	})
+	lru.set('a', 1)
+	lru.set('b', 2, { maxAge: 60 })
+	lru.set('c', 3, { maxAge: Number.POSITIVE_INFINITY })
+	await delay(40)
+	expect(evictions).toEqual([['a', 1, 'expire']])
+	await delay(60)
+	expect(evictions).toEqual([
+		['a', 1, 'expire'],
+		['b', 2, 'expire'],
+	])
+	expect([...lru.keys()]).toEqual(['c'])
+})
+
+test('ttlAutopurge: ignores outdated expiry times', async () => {
+	const { lru, evictions } = recordRemovals({
+		maxSize: 10,
+		ttlAutopurge: true,
+	})
+	lru.set('a', 1, { maxAge: 20 })
+	lru.set('a', 2, { maxAge: 1000 })
+	lru.set('b', 3, { maxAge: 20 })
+	lru.delete('b')
+	await delay(40)
+	expect(lru.purgeStale()).toBe(0)
+	expect(evictions).toEqual([])
+	expect(lru.get('a')).toBe(2)
+})
+
+test('ttlAutopurge: many overwrites do not grow the index unbounded', async () => {
+	const { lru, evictions } = recordRemovals({
+		maxSize: 10,
+		maxAge: 20,
+		ttlAutopurge: true,
+	})
+	for (let i = 0; i < 1000; i++) {
+		lru.set(i % 5, i)
+	}
+
+	await delay(40)
+	expect(evictions.map(([key]) => key).sort()).toEqual([0, 1, 2, 3, 4])
+})
+
+test('maxIdle: throws on invalid value', () => {
+	expect(() => {
+		new QuickLRU({ maxSize: 10, maxIdle: 0 })
+	}).toThrow(/maxIdle/)
+})
+
+test('maxIdle: is returned by getter', () => {
+	expect(new QuickLRU({ maxSize: 1 }).maxIdle).toBe(Number.POSITIVE_INFINITY)
+	expect(new QuickLRU({ maxSize: 1, maxIdle: 100 }).maxIdle).toBe(100)
+})
+
+test('maxIdle: get() keeps an item alive', async () => {
+	const lru = new QuickLRU({ maxSize: 10, maxIdle: 120 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	for (let i = 0; i < 4; i++) {
+		await delay(60)
+		expect(lru.get('a')).toBe(1)
+	}
+
+	expect(lru.has('b')).toBe(false)
+	await delay(150)
+	expect(lru.get('a')).toBe(undefined)
+})
+
+test('maxIdle: peek() does not keep an item alive', async () => {
+	const lru = new QuickLRU({ maxSize: 10, maxIdle: 120 })
+	lru.set('a', 1)
+	await delay(60)
+	expect(lru.peek('a')).toBe(1)
+	await delay(80)
+	expect(lru.peek('a')).toBe(undefined)
+})
+
+test('maxIdle: per-item value overrides the global one', async () => {
+	const lru = new QuickLRU({ maxSize: 10, maxIdle: 1000 })
+	lru.set('a', 1, { maxIdle: 20 })
+	lru.set('b', 2)
+	await delay(60)
+	expect(lru.has('a')).toBe(false)
+	expect(lru.has('b')).toBe(true)
+})
+
+test('maxIdle: maxAge still applies to items that are read', async () => {
+	const lru = new QuickLRU({ maxSize: 10, maxAge: 150, maxIdle: 120 })
+	lru.set('a', 1)
+	for (let i = 0; i < 3; i++) {
+		await delay(60)
+		lru.get('a')
+	}
+
+	expect(lru.has('a')).toBe(false)
+})
+
+test('maxIdle: expiresIn() reports the nearer deadline', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	lru.set('idle', 1, { maxAge: 1000, maxIdle: 100 })
+	lru.set('age', 1, { maxAge: 100, maxIdle: 1000 })
+	expect(lru.expiresIn('idle') <= 100).toBe(true)
+	expect(lru.expiresIn('age') <= 100).toBe(true)
+})
+
+test('maxIdle: items in the old cache are kept alive when moved', async () => {
+	const lru = new QuickLRU({ maxSize: 2, maxIdle: 120 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	expect(lru.__oldCache.has('a')).toBe(true)
+	await delay(60)
+	expect(lru.get('a')).toBe(1)
+	expect(lru.__oldCache.has('a')).toBe(false)
+	await delay(80)
+	expect(lru.get('a')).toBe(1)
+	expect(lru.has('b')).toBe(false)
+})
+
+test('maxIdle: ttlAutopurge follows the moving deadline', async () => {
+	const { lru, evictions } = recordRemovals({
+		maxSize: 10,
+		maxIdle: 120,
+		ttlAutopurge: true,
+	})
+	lru.set('a', 1)
+	await delay(60)
+	lru.get('a')
+	await delay(60)
+	expect(evictions).toEqual([])
+	await delay(120)
+	expect(evictions).toEqual([['a', 1, 'expire']])
+})
+
+test('.dump() returns records in recency order', () => {
+	const lru = new QuickLRU({ maxSize: 3 })
+	lru.set('a', 1)
+	lru.set('b', 2, { maxAge: 1000 })
+	lru.set('c', 3)
+	lru.get('a')
+	const records = lru.dump()
+	expect(records.map(({ key }) => key)).toEqual(['b', 'c', 'a'])
+	expect(records[0].expiresAt > Date.now()).toBe(true)
+	expect(records[1]).toEqual({ key: 'c', value: 3, expiresAt: null })
+	const json = JSON.stringify(records)
+	expect(JSON.parse(json)).toEqual(records)
+})
+
+test('.dump() skips expired items without removing them', async () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 10 })
+	lru.set('a', 1, { maxAge: 20 })
+	lru.set('b', 2)
+	await delay(30)
+	expect(lru.dump()).toEqual([{ key: 'b', value: 2, expiresAt: null }])
+	expect(evictions).toEqual([])
+	expect(lru.expiresIn('a') <= 0).toBe(true)
+})
+
+test('.load() restores order and expiry and drops expired records', () => {
+	const lru = new QuickLRU({ maxSize: 10, maxAge: 50 })
+	const expiresAt = Date.now() + 1000
+	lru.load([
+		{ key: 'expired', value: 0, expiresAt: Date.now() - 1000 },
+		{ key: 'a', value: 1, expiresAt },
+		{ key: 'b', value: 2, expiresAt: null },
+	])
+	expect([...lru.entriesAscending()]).toEqual([
+		['a', 1],
+		['b', 2],
+	])
+	expect(lru.expiresIn('a') > 900).toBe(true)
+	expect(lru.expiresIn('b')).toBe(Number.POSITIVE_INFINITY)
+})
+
+test('QuickLRU.from() round-trips a dump through JSON', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	lru.set('a', 1)
+	lru.set('b', 2, { maxAge: 1000, maxIdle: 500 })
+	lru.set('c', 3)
+	const json = JSON.stringify(lru.dump())
+	const restored = QuickLRU.from(JSON.parse(json), { maxSize: 10 })
+	expect(restored).toBeInstanceOf(QuickLRU)
+	expect([...restored]).toEqual([...lru])
+	expect(restored.dump()).toEqual(lru.dump())
+})
+
+test('.dump() / .load() use the serialize and deserialize options', () => {
+	const options = {
+		maxSize: 10,
+		serialize: value => [...value],
+		deserialize: value => new Set(value),
+	}
+	const lru = new QuickLRU(options)
+	lru.set('a', new Set([1, 2]))
+	const records = lru.dump()
+	expect(records[0].value).toEqual([1, 2])
+	const restored = QuickLRU.from(records, options)
+	expect(restored.get('a')).toEqual(new Set([1, 2]))
+})
+
+test('serialize: throws on invalid option', () => {
+	expect(() => {
+		new QuickLRU({ maxSize: 10, serialize: true })
+	}).toThrow(/serialize/)
+	expect(() => {
+		new QuickLRU({ maxSize: 10, deserialize: true })
+	}).toThrow(/deserialize/)
+})
+
+test('trackStats: counts hits and misses', () => {
+	const lru = new QuickLRU({ maxSize: 10, trackStats: true })
+	lru.set('a', undefined)
+	lru.get('a')
+	lru.get('b')
+	lru.has('a')
+	lru.has('b')
+	lru.peek('a')
+	lru.peek('b')
+	expect(lru.stats()).toMatchObject({ hits: 3, misses: 3, hitRatio: 0.5 })
+})
+
+test('trackStats: counts sets and overwrites', () => {
+	const lru = new QuickLRU({ maxSize: 10, trackStats: true })
+	lru.set('a', 1)
+	lru.set('a', 2)
+	lru.set('b', 1)
+	expect(lru.stats()).toMatchObject({ sets: 3, overwrites: 1 })
+})
+
+test('trackStats: counts evictions, expirations and manual evictions', async () => {
+	const lru = new QuickLRU({ maxSize: 2, trackStats: true })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 3)
+	lru.set('d', 4)
+	expect(lru.stats().evictions).toBe(2)
+	lru.evict()
+	expect(lru.stats().manualEvictions).toBe(1)
+	lru.set('e', 5, { maxAge: 10 })
+	await delay(20)
+	expect(lru.get('e')).toBe(undefined)
+	expect(lru.stats()).toMatchObject({ expirations: 1, misses: 1 })
+})
+
+test('trackStats: counts fetch() lookups', async () => {
+	const lru = new QuickLRU({ maxSize: 10, trackStats: true })
+	await lru.fetch('a', () => 1)
+	await lru.fetch('a', () => 1)
+	expect(lru.stats()).toMatchObject({ hits: 1, misses: 1 })
+})
+
+test('.resetStats() resets all counters', () => {
+	const lru = new QuickLRU({ maxSize: 10, trackStats: true })
+	lru.set('a', 1)
+	lru.get('a')
+	lru.resetStats()
+	expect(lru.stats()).toEqual({
+		hits: 0,
+		misses: 0,
+		sets: 0,
+		overwrites: 0,
+		evictions: 0,
+		expirations: 0,
+		manualEvictions: 0,
+		resurrections: 0,
+		hitRatio: 0,
+	})
+})
+
+test('.stats() is all zeros when stats are not tracked', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	lru.set('a', 1)
+	lru.get('a')
+	expect(lru.stats()).toMatchObject({ hits: 0, sets: 0, hitRatio: 0 })
+})
+
+test('strict: never holds more than maxSize items', () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 3, strict: true })
+	expect(lru.strict).toBe(true)
+	for (let i = 0; i < 10; i++) {
+		lru.set(i, i)
+		expect([...lru.keys()].length).toBe(Math.min(i + 1, 3))
+	}
+
+	expect(lru.size).toBe(3)
+	expect(evictions.map(([key]) => key)).toEqual([0, 1, 2, 3, 4, 5, 6])
+	expect(evictions.every(([, , reason]) => reason === 'evict')).toBe(true)
+})
+
+test('strict: evicts the least recently used item', () => {
+	const lru = new QuickLRU({ maxSize: 3, strict: true })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 3)
+	lru.get('a')
+	lru.set('b', 4)
+	lru.set('d', 5)
+	expect([...lru.entriesAscending()]).toEqual([
+		['a', 1],
+		['b', 4],
+		['d', 5],
+	])
+	expect([...lru.entriesDescending()]).toEqual([
+		['d', 5],
+		['b', 4],
+		['a', 1],
+	])
+})
+
+test('strict: peek() and has() do not change the order', () => {
+	const lru = new QuickLRU({ maxSize: 2, strict: true })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.peek('a')
+	lru.has('a')
+	lru.set('c', 3)
+	expect([...lru.keys()]).toEqual(['b', 'c'])
+})
+
+test('strict: resize() and evict() remove exactly the oldest items', () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 5, strict: true })
+	for (const key of ['a', 'b', 'c', 'd', 'e']) {
+		lru.set(key, key)
+	}
+
+	lru.get('a')
+	lru.evict(2)
+	expect([...lru.keys()]).toEqual(['d', 'e', 'a'])
+	lru.resize(2)
+	expect([...lru.keys()]).toEqual(['e', 'a'])
+	expect(evictions).toEqual([
+		['b', 'b', 'evict'],
+		['c', 'c', 'evict'],
+		['d', 'd', 'resize'],
+	])
+	lru.evict(10)
+	expect([...lru.keys()]).toEqual(['a'])
+	lru.resize(3)
+	lru.set('f', 'f')
+	lru.set('g', 'g')
+	expect(lru.size).toBe(3)
+})
+
+test('strict: expired items are reported as expired when pushed out', async () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 2, strict: true })
+	lru.set('a', 1, { maxAge: 10 })
+	lru.set('b', 2)
+	await delay(20)
+	lru.set('c', 3)
+	expect(evictions).toEqual([['a', 1, 'expire']])
+})
+
+test('strict: combines with maxWeight', () => {
+	const lru = new QuickLRU({
+		maxWeight: 10,
+		strict: true,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 4)
+	lru.set('b', 4)
+	lru.get('a')
+	lru.set('c', 4)
+	expect([...lru.keys()]).toEqual(['a', 'c'])
+	expect(lru.weight).toBe(8)
+})
+
+test('.evict() only visits the items it evicts', async () => {
+	const { lru, removals } = recordRemovals({ maxSize: 100 })
+	for (let i = 0; i < 50; i++) {
+		lru.set(i, i)
+	}
+
+	lru.set('expiring', 'value', { maxAge: 10 })
+	await delay(20)
+	lru.evict(2)
+	expect(removals).toEqual([
+		[0, 0, 'evict'],
+		[1, 1, 'evict'],
+	])
+	expect(lru.peek(2)).toBe(2)
+})
+
+test('.evict() evicts across both generations', () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 3 })
+	for (const key of ['a', 'b', 'c', 'd', 'e']) {
+		lru.set(key, key)
+	}
+
+	lru.evict(4)
+	expect(evictions.map(([key]) => key)).toEqual(['a', 'b', 'c', 'd'])
+	expect([...lru.keys()]).toEqual(['e'])
+})
+
+test('resize() skips shadowed items when shrinking', () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 4 })
+	for (const key of ['a', 'b', 'c', 'd']) {
+		lru.set(key, key)
+	}
+
+	lru.set('a', 'A')
+	lru.set('e', 'e')
+	lru.resize(3)
+	expect(evictions).toEqual([
+		['b', 'b', 'resize'],
+		['c', 'c', 'resize'],
+	])
+	expect([...lru.entriesAscending()]).toEqual([
+		['d', 'd'],
+		['a', 'A'],
+		['e', 'e'],
+	])
+	expect(lru.size).toBe(3)
+})
+
+test('resize() keeps the newest items when the recent generation is full', () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 4 })
+	for (let i = 0; i < 7; i++) {
+		lru.set(i, i)
+	}
+
+	lru.resize(2)
+	expect(evictions.map(([key]) => key)).toEqual([0, 1, 2, 3, 4])
+	expect(evictions.every(([, , reason]) => reason === 'resize')).toBe(true)
+	expect([...lru.keys()]).toEqual([5, 6])
+	lru.set(7, 7)
+	expect(lru.has(5)).toBe(true)
+})
+
+test('resize() reports expired items as expired', async () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 4 })
+	lru.set('a', 1, { maxAge: 10 })
+	lru.set('b', 2)
+	lru.set('c', 3)
+	await delay(20)
+	lru.resize(1)
+	expect(evictions).toEqual([
+		['a', 1, 'expire'],
+		['b', 2, 'resize'],
+	])
+	expect([...lru.keys()]).toEqual(['c'])
+})
+
+test('resize() and evict() keep the weight up to date', () => {
+	const lru = new QuickLRU({
+		maxSize: 4,
+		maxWeight: 100,
+		sizeCalculation: value => value,
+	})
+	for (const [key, value] of [
+		['a', 1],
+		['b', 2],
+		['c', 3],
+		['d', 4],
+	]) {
+		lru.set(key, value)
+	}
+
+	lru.set('a', 10)
+	lru.set('e', 5)
+	expect(lru.weight).toBe(24)
+	lru.resize(3)
+	expect(lru.weight).toBe(19)
+	lru.evict()
+	expect(lru.weight).toBe(15)
+	lru.resize(10)
+	expect(lru.weight).toBe(15)
+	expect([...lru.keys()]).toEqual(['a', 'e'])
+})
+
+test('.size stays in sync with the stored items', () => {
+	const lru = new QuickLRU({ maxSize: 8 })
+	let seed = 1
+	const random = () => {
+		seed = (seed * 16_807) % 2_147_483_647
+		return seed
+	}
+
+	for (let i = 0; i < 2000; i++) {
+		const key = random() % 20
+		switch (random() % 6) {
+			case 0: {
+				lru.delete(key)
+				break
+			}
+
+			case 1: {
+				lru.get(key)
+				break
+			}
+
+			case 2: {
+				if (i % 100 === 0) {
+					lru.resize((random() % 10) + 1)
+				} else {
+					lru.evict()
+				}
+
+				break
+			}
+
+			default: {
+				lru.set(key, i)
+			}
+		}
+
+		expect(lru.size).toBe(Math.min([...lru.keys()].length, lru.maxSize))
+	}
+})
+
+test('.size counts shadowed items once', () => {
+	const lru = new QuickLRU({ maxSize: 4 })
+	for (const key of ['a', 'b', 'c', 'd']) {
+		lru.set(key, key)
+	}
+
+	lru.set('a', 'A')
+	lru.set('b', 'B')
+	expect(lru.size).toBe(4)
+	lru.delete('a')
+	expect(lru.size).toBe(3)
+	lru.clear()
+	expect(lru.size).toBe(0)
+})
+
+test('.count() can leave expired items out', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	lru.set('a', 1, { maxAge: 10 })
+	lru.set('b', 2)
+	await delay(20)
+	expect(lru.count()).toBe(2)
+	expect(lru.count({ includeStale: true })).toBe(2)
+	expect(lru.count({ includeStale: false })).toBe(1)
+	expect(lru.size).toBe(2)
+	lru.purgeStale()
+	expect(lru.size).toBe(1)
+})
+
+test('keyHash: structurally equal keys refer to the same item', () => {
+	const lru = new QuickLRU({
+		maxSize: 10,
+		keyHash: ({ refName, start, end }) => `${refName}:${start}-${end}`,
+	})
+	const key = { refName: 'chr1', start: 0, end: 100 }
+	lru.set(key, 'features')
+	const equalKey = { refName: 'chr1', start: 0, end: 100 }
+	expect(lru.get(equalKey)).toBe('features')
+	expect(lru.peek(equalKey)).toBe('features')
+	expect(lru.has(equalKey)).toBe(true)
+	expect(lru.expiresIn(equalKey)).toBe(Number.POSITIVE_INFINITY)
+	expect(lru.has({ refName: 'chr2', start: 0, end: 100 })).toBe(false)
+	lru.set(equalKey, 'more features')
+	expect(lru.size).toBe(1)
+	expect([...lru.keys()][0]).toBe(equalKey)
+	expect(lru.delete(key)).toBe(true)
+	expect(lru.size).toBe(0)
+})
+
+test('keyHash: iteration and callbacks use the original keys', () => {
+	const removals = []
+	const lru = new QuickLRU({
+		maxSize: 2,
+		keyHash: key => key.id,
+		onRemove: (key, value, reason) => removals.push([key, reason]),
+	})
+	const keys = [{ id: 1 }, { id: 2 }, { id: 3 }]
+	for (const key of keys) {
+		lru.set(key, key.id)
+	}
+
+	expect([...lru.entriesAscending()]).toEqual([
+		[keys[0], 1],
+		[keys[1], 2],
+		[keys[2], 3],
+	])
+	expect([...lru.entriesDescending()].map(([key]) => key)).toEqual([
+		keys[2],
+		keys[1],
+		keys[0],
+	])
+	expect(lru.dump().map(({ key }) => key)).toEqual(keys)
+	lru.set({ id: 4 }, 4)
+	expect(removals).toEqual([
+		[keys[0], 'evict'],
+		[keys[1], 'evict'],
+	])
+	expect(removals[0][0]).toBe(keys[0])
+})
+
+test('keyHash: loaders receive the original key', async () => {
+	const calls = []
+	const loader = async key => {
+		calls.push(key)
+		return key.name.toUpperCase()
+	}
+
+	const lru = new QuickLRU({
+		maxSize: 10,
+		keyHash: key => key.name,
+		loader,
+	})
+	const [first, second] = await Promise.all([
+		lru.fetch({ name: 'a' }),
+		lru.fetch({ name: 'a' }),
+	])
+	expect(first).toBe('A')
+	expect(second).toBe('A')
+	expect(calls).toEqual([{ name: 'a' }])
+	expect(lru.get({ name: 'a' })).toBe('A')
+})
+
+test('keyEquals: colliding keys do not see each other', () => {
+	const removals = []
+	const lru = new QuickLRU({
+		maxSize: 10,
+		keyHash: key => key.length,
+		keyEquals: (storedKey, key) => storedKey === key,
+		onRemove: (key, value, reason) => removals.push([key, value, reason]),
+	})
+	lru.set('ab', 1)
+	expect(lru.get('cd')).toBe(undefined)
+	expect(lru.has('cd')).toBe(false)
+	expect(lru.peek('cd')).toBe(undefined)
+	expect(lru.expiresIn('cd')).toBe(undefined)
+	expect(lru.delete('cd')).toBe(false)
+	expect(lru.get('ab')).toBe(1)
+	lru.set('cd', 1)
+	expect(removals).toEqual([['ab', 1, 'overwrite']])
+	expect([...lru]).toEqual([['cd', 1]])
+})
+
+test('keyEquals: colliding keys do not share a load', async () => {
+	const calls = []
+	const lru = new QuickLRU({
+		maxSize: 10,
+		keyHash: key => key.length,
+		keyEquals: (storedKey, key) => storedKey === key,
+		async loader(key) {
+			calls.push(key)
+			await delay(10)
+			return key.toUpperCase()
+		},
+	})
+	const [first, second] = await Promise.all([lru.fetch('ab'), lru.fetch('cd')])
+	expect(first).toBe('AB')
+	expect(second).toBe('CD')
+	expect(calls).toEqual(['ab', 'cd'])
+	expect(lru.get('ab')).toBe(undefined)
+	expect(lru.get('cd')).toBe('CD')
+})
+
+test('keyHash and keyEquals must be functions', () => {
+	expect(() => new QuickLRU({ maxSize: 1, keyHash: 'id' })).toThrow(/keyHash/)
+	expect(
+		() => new QuickLRU({ maxSize: 1, keyHash: String, keyEquals: true }),
+	).toThrow(/keyEquals/)
+	expect(
+		() => new QuickLRU({ maxSize: 1, keyEquals: (a, b) => a === b }),
+	).toThrow(/keyHash/)
+})
+
+test('invalidateTag() removes the tagged items', () => {
+	const { lru, removals, evictions } = recordRemovals({ maxSize: 10 })
+	lru.set('a', 1, { tags: ['track1'] })
+	lru.set('b', 2, { tags: ['track1', 'assembly'] })
+	lru.set('c', 3, { tags: ['track2'] })
+	lru.set('d', 4)
+	expect(lru.invalidateTag('track1')).toBe(2)
+	expect([...lru.keys()]).toEqual(['c', 'd'])
+	expect(evictions).toEqual([
+		['a', 1, 'invalidate'],
+		['b', 2, 'invalidate'],
+	])
+	expect(removals).toEqual(evictions)
+	expect(lru.invalidateTag('track1')).toBe(0)
+	expect(lru.invalidateTag('assembly')).toBe(0)
+})
+
+test('invalidateTags() removes items matching any tag once', () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 10 })
+	lru.set('a', 1, { tags: ['x', 'y'] })
+	lru.set('b', 2, { tags: ['y'] })
+	lru.set('c', 3, { tags: ['z'] })
+	expect(lru.invalidateTags(['x', 'y', 'missing'])).toBe(2)
+	expect(evictions.map(([key]) => key)).toEqual(['a', 'b'])
+	expect([...lru.keys()]).toEqual(['c'])
+})
+
+test('tags are replaced when an item is set again', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	lru.set('a', 1, { tags: ['old'] })
+	lru.set('a', 2, { tags: ['new'] })
+	expect(lru.invalidateTag('old')).toBe(0)
+	expect(lru.has('a')).toBe(true)
+	lru.set('a', 3)
+	expect(lru.invalidateTag('new')).toBe(0)
+	expect(lru.has('a')).toBe(true)
+})
+
+test('tags survive shadowing and rotation', () => {
+	const lru = new QuickLRU({ maxSize: 2 })
+	lru.set('a', 1, { tags: ['t'] })
+	lru.set('b', 2)
+	lru.set('a', 3, { tags: ['t'] })
+	lru.set('c', 4)
+	expect(lru.invalidateTag('t')).toBe(1)
+	expect(lru.has('a')).toBe(false)
+})
+
+test('the tag index is cleaned up when items leave the cache', async () => {
+	const lru = new QuickLRU({ maxSize: 2 })
+	lru.set('a', 1, { tags: ['t'] })
+	lru.set('b', 2, { tags: ['t'] })
+	lru.set('c', 3)
+	lru.set('d', 4)
+	// The tagged items were evicted, so re-adding the keys untagged keeps them safe.
+	lru.set('a', 5)
+	lru.set('b', 6)
+	expect(lru.invalidateTag('t')).toBe(0)
+	expect(lru.peek('a')).toBe(5)
+
+	lru.set('e', 7, { tags: ['u'] })
+	lru.delete('e')
+	lru.set('e', 8)
+	expect(lru.invalidateTag('u')).toBe(0)
+	expect(lru.peek('e')).toBe(8)
+
+	lru.set('f', 9, { tags: ['v'], maxAge: 10 })
+	await delay(20)
+	lru.purgeStale()
+	lru.set('f', 10)
+	expect(lru.invalidateTag('v')).toBe(0)
+
+	lru.set('g', 11, { tags: ['w'] })
+	lru.clear()
+	lru.set('g', 12)
+	expect(lru.invalidateTag('w')).toBe(0)
+})
+
+test('invalidateTag() reports expired items as expired', async () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 10 })
+	lru.set('a', 1, { tags: ['t'], maxAge: 10 })
+	lru.set('b', 2, { tags: ['t'] })
+	await delay(20)
+	expect(lru.invalidateTag('t')).toBe(1)
+	expect(evictions).toEqual([
+		['a', 1, 'expire'],
+		['b', 2, 'invalidate'],
+	])
+})
+
+test('tags work in strict mode and with maxWeight', () => {
+	const lru = new QuickLRU({
+		maxWeight: 10,
+		strict: true,
+		sizeCalculation: value => value,
+	})
+	lru.set('a', 4, { tags: ['t'] })
+	lru.set('b', 4, { tags: ['t'] })
+	lru.set('c', 4)
+	lru.set('d', 20, { tags: ['t'] })
+	expect(lru.invalidateTag('t')).toBe(1)
+	expect(lru.weight).toBe(4)
+	expect([...lru.keys()]).toEqual(['c'])
+})
+
+test('dump() and load() keep tags', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	lru.set('a', 1, { tags: ['t'] })
+	lru.set('b', 2)
+	const records = lru.dump()
+	expect(records[0].tags).toEqual(['t'])
+	expect(records[1].tags).toBe(undefined)
+	const restored = QuickLRU.from(records, { maxSize: 10 })
+	expect(restored.invalidateTag('t')).toBe(1)
+	expect([...restored.keys()]).toEqual(['b'])
+})
+
+test('tags must be an array', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	expect(() => lru.set('a', 1, { tags: 'track1' })).toThrow(/tags/)
+})
+
+test('deleteWhere() removes matching items without calling onEviction', () => {
+	const { lru, removals, evictions } = recordRemovals({ maxSize: 10 })
+	for (let i = 0; i < 6; i++) {
+		lru.set(i, { session: i % 2 === 0 ? 'closed' : 'open' })
+	}
+
+	const visited = []
+	const deleted = lru.deleteWhere((value, key) => {
+		visited.push(key)
+		return value.session === 'closed'
+	})
+	expect(deleted).toBe(3)
+	expect(visited).toEqual([0, 1, 2, 3, 4, 5])
+	expect([...lru.keys()]).toEqual([1, 3, 5])
+	expect(removals.map(([key, , reason]) => [key, reason])).toEqual([
+		[0, 'delete'],
+		[2, 'delete'],
+		[4, 'delete'],
+	])
+	expect(evictions).toEqual([])
+})
+
+test('evictWhere() calls onEviction and counts manual evictions', () => {
+	const { lru, evictions } = recordRemovals({ maxSize: 10, trackStats: true })
+	lru.set('small', 1)
+	lru.set('large', 100)
+	lru.set('larger', 1000)
+	expect(lru.evictWhere(value => value > 10)).toBe(2)
+	expect(evictions).toEqual([
+		['large', 100, 'evict'],
+		['larger', 1000, 'evict'],
+	])
+	expect(lru.stats().manualEvictions).toBe(2)
+	expect([...lru.keys()]).toEqual(['small'])
+})
+
+test('deleteWhere() visits shadowed keys once', () => {
+	const lru = new QuickLRU({ maxSize: 3 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 3)
+	lru.set('a', 4)
+	lru.set('b', 5)
+	const visited = []
+	expect(
+		lru.deleteWhere((value, key) => {
+			visited.push([key, value])
+			return true
+		}),
+	).toBe(3)
+	expect(visited).toEqual([
+		['c', 3],
+		['a', 4],
+		['b', 5],
+	])
+	expect(lru.size).toBe(0)
+	expect([...lru.__oldCache.keys()]).toEqual([])
+})
+
+test('deleteWhere() skips expired items', async () => {
+	const { lru, removals } = recordRemovals({ maxSize: 10 })
+	lru.set('a', 1, { maxAge: 10 })
+	lru.set('b', 2)
+	await delay(20)
+	const visited = []
+	expect(
+		lru.deleteWhere((value, key) => {
+			visited.push(key)
+			return false
+		}),
+	).toBe(0)
+	expect(visited).toEqual(['b'])
+	expect(removals).toEqual([['a', 1, 'expire']])
+})
+
+test('deleteWhere() and evictWhere() require a function', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	expect(() => lru.deleteWhere()).toThrow(/predicate/)
+	expect(() => lru.evictWhere('a')).toThrow(/predicate/)
+})
+
+const deferredLoader = () => {
+	const calls = []
+	const loader = (key, { signal }) =>
+		new Promise((resolve, reject) => {
+			calls.push({ key, signal, resolve, reject })
+		})
+	return { loader, calls }
+}
+
+test('.fetch() passes an AbortSignal to the loader', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	let received
+	await lru.fetch('a', (key, { signal }) => {
+		received = signal
+		return 1
+	})
+	expect(received).toBeInstanceOf(AbortSignal)
+	expect(received.aborted).toBe(false)
+})
+
+test('.fetch() keeps a shared load going while a caller still waits', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const { loader, calls } = deferredLoader()
+	const controller = new AbortController()
+	const aborted = lru.fetch('a', loader, { signal: controller.signal })
+	const waiting = lru.fetch('a', loader, {
+		signal: new AbortController().signal,
+	})
+	controller.abort(new Error('navigated away'))
+	await expect(aborted).rejects.toThrow('navigated away')
+	expect(calls).toHaveLength(1)
+	expect(calls[0].signal.aborted).toBe(false)
+	calls[0].resolve('value')
+	expect(await waiting).toBe('value')
+	expect(lru.get('a')).toBe('value')
+})
+
+test('.fetch() aborts the load once every caller aborted', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const { loader, calls } = deferredLoader()
+	const first = new AbortController()
+	const second = new AbortController()
+	const results = [
+		lru.fetch('a', loader, { signal: first.signal }),
+		lru.fetch('a', loader, { signal: second.signal }),
+	]
+	first.abort()
+	expect(calls[0].signal.aborted).toBe(false)
+	second.abort()
+	expect(calls[0].signal.aborted).toBe(true)
+	for (const result of results) {
+		await expect(result).rejects.toThrow(/abort/i)
+	}
+
+	// A loader that ignores the signal still does not fill the cache.
+	calls[0].resolve('late')
+	await delay(0)
+	expect(lru.has('a')).toBe(false)
+
+	const retry = lru.fetch('a', loader)
+	expect(calls).toHaveLength(2)
+	calls[1].resolve('fresh')
+	expect(await retry).toBe('fresh')
+})
+
+test('.fetch() rejects with a TimeoutError after `timeout`', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const { loader, calls } = deferredLoader()
+	const result = lru.fetch('a', loader, { timeout: 10 })
+	await expect(result).rejects.toMatchObject({ name: 'TimeoutError' })
+	expect(calls[0].signal.aborted).toBe(true)
+	calls[0].resolve('late')
+	await delay(0)
+	expect(lru.has('a')).toBe(false)
+})
+
+test('.fetch() callers without a signal keep the load alive', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const { loader, calls } = deferredLoader()
+	const waiting = lru.fetch('a', loader)
+	const timedOut = lru.fetch('a', loader, { timeout: 10 })
+	await expect(timedOut).rejects.toMatchObject({ name: 'TimeoutError' })
+	expect(calls[0].signal.aborted).toBe(false)
+	calls[0].resolve('value')
+	expect(await waiting).toBe('value')
+})
+
+test('.fetch() with an aborted signal does not call the loader', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const { loader, calls } = deferredLoader()
+	const controller = new AbortController()
+	controller.abort()
+	await expect(
+		lru.fetch('a', loader, { signal: controller.signal }),
+	).rejects.toThrow(/abort/i)
+	expect(calls).toHaveLength(0)
+})
+
+test('.fetch() accepts options in place of the loader', async () => {
+	const lru = new QuickLRU({ maxSize: 10, loader: key => `${key}!` })
+	expect(await lru.fetch('a', { timeout: 1000 })).toBe('a!')
+	expect(() => lru.fetch('b', { timeout: 0 })).toThrow(/timeout/)
+})
+
+test('.fetch() does not stay pending when the loader throws synchronously', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const loader = () => {
+		throw new Error('sync')
+	}
+
+	await expect(lru.fetch('a', loader)).rejects.toThrow('sync')
+	expect(await lru.fetch('a', () => 1)).toBe(1)
+})
+
+test('.fetch() does not store a load that finished after the key changed', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	const { loader, calls } = deferredLoader()
+	const overwritten = lru.fetch('a', loader)
+	lru.set('a', 'newer')
+	calls[0].resolve('older')
+	expect(await overwritten).toBe('older')
+	expect(lru.get('a')).toBe('newer')
+
+	const deleted = lru.fetch('b', loader)
+	lru.delete('b')
+	calls[1].resolve('older')
+	expect(await deleted).toBe('older')
+	expect(lru.has('b')).toBe(false)
+
+	const cleared = lru.fetch('c', loader)
+	lru.clear()
+	const fresh = lru.fetch('c', loader)
+	expect(calls).toHaveLength(4)
+	calls[2].resolve('older')
+	await cleared
+	expect(lru.has('c')).toBe(false)
+	calls[3].resolve('fresh')
+	expect(await fresh).toBe('fresh')
+	expect(lru.get('c')).toBe('fresh')
+})
+
+test('a refresh does not overwrite a value set while it was loading', async () => {
+	const { loader, calls } = deferredLoader()
+	const lru = new QuickLRU({ maxSize: 10, refreshAhead: 950, loader })
+	lru.set('a', 1, { maxAge: 1000 })
+	await delay(60)
+	expect(lru.get('a')).toBe(1)
+	expect(calls).toHaveLength(1)
+	lru.set('a', 2)
+	calls[0].resolve(3)
+	await delay(0)
+	expect(lru.get('a')).toBe(2)
+})
+
+test('`now` option is validated', () => {
+	expect(() => new QuickLRU({ maxSize: 10, now: 1 })).toThrow(/now/)
+})
+
+test('expiry follows the `now` clock', () => {
+	let time = 1000
+	const lru = new QuickLRU({ maxSize: 10, now: () => time })
+	lru.set('a', 1, { maxAge: 100 })
+	lru.set('b', 2, { maxIdle: 50 })
+	expect(lru.expiresIn('a')).toBe(100)
+	time += 40
+	expect(lru.expiresIn('a')).toBe(60)
+	expect(lru.get('b')).toBe(2)
+	time += 40
+	expect(lru.get('b')).toBe(2)
+	time += 20
+	expect(lru.has('a')).toBe(false)
+	expect(lru.get('b')).toBe(2)
+	time += 50
+	expect(lru.has('b')).toBe(false)
+})
+
+test('the clock is only read when an expiry needs it', () => {
+	let reads = 0
+	const lru = new QuickLRU({
+		maxSize: 10,
+		now() {
+			reads++
+			return 1000
+		},
+	})
+	lru.set('a', 1)
+	expect(lru.get('a')).toBe(1)
+	expect(reads).toBe(0)
+	lru.set('b', 2, { maxAge: 100 })
+	expect(reads).toBe(1)
+	lru.set('c', 3, { maxIdle: 100 })
+	expect(reads).toBe(2)
+})
+
+test('the default clock does not follow changes to the system time', () => {
+	const dateNow = Date.now
+	const lru = new QuickLRU({ maxSize: 10 })
+	try {
+		lru.set('a', 1, { maxAge: 1000 })
+		Date.now = () => dateNow() + 60_000
+		expect(lru.get('a')).toBe(1)
+		expect(lru.expiresIn('a') > 900).toBe(true)
+	} finally {
+		Date.now = dateNow
+	}
+})
+
+test('.dump() and .load() use the `now` clock', () => {
+	let time = 1000
+	const lru = new QuickLRU({ maxSize: 10, now: () => time })
+	lru.set('a', 1, { maxAge: 100 })
+	lru.set('b', 2)
+	const records = lru.dump()
+	expect(records).toEqual([
+		{ key: 'a', value: 1, expiresAt: 1100 },
+		{ key: 'b', value: 2, expiresAt: null },
+	])
+
+	time = 1050
+	const restored = new QuickLRU({ maxSize: 10, now: () => time }).load(records)
+	expect(restored.expiresIn('a')).toBe(50)
+	expect(restored.expiresIn('b')).toBe(Number.POSITIVE_INFINITY)
+	time = 1100
+	expect(restored.has('a')).toBe(false)
+	expect(lru.now()).toBe(1100)
+})
+
+test('.load() keeps the expiry times of the records while the clock moves', () => {
+	let time = 1000
+	const lru = new QuickLRU({ maxSize: 10, now: () => time++ })
+	const records = [
+		{ key: 'a', value: 1, expiresAt: 1120 },
+		{ key: 'b', value: 2, expiresAt: 1200, maxIdle: 50 },
+	]
+	lru.load(records)
+	expect(lru.dump()).toEqual(records)
+})
+
+test('`weakRetention` brings back evicted values that are still referenced', () => {
+	const lru = new QuickLRU({
+		maxSize: 2,
+		strict: true,
+		weakRetention: true,
+		trackStats: true,
+	})
+	const a = { name: 'a' }
+	lru.set('a', a, { tags: ['blocks'] })
+	lru.set('b', { name: 'b' })
+	lru.set('c', { name: 'c' })
+	expect(lru.has('a')).toBe(false)
+	expect(lru.peek('a')).toBeUndefined()
+	expect(lru.get('a')).toBe(a)
+	expect(lru.has('a')).toBe(true)
+	expect(lru.has('b')).toBe(false)
+	expect([...lru.keys()]).toEqual(['c', 'a'])
+	expect(lru.invalidateTag('blocks')).toBe(1)
+	expect(lru.stats()).toMatchObject({
+		resurrections: 1,
+		hits: 2,
+		misses: 3,
+		sets: 3,
+	})
+})
+
+test('`weakRetention` is validated and bounded', () => {
+	expect(() => new QuickLRU({ maxSize: 10, weakRetention: 0 })).toThrow(
+		/weakRetention/,
+	)
+	expect(
+		() =>
+			new QuickLRU({ maxSize: Number.POSITIVE_INFINITY, weakRetention: true }),
+	).toThrow(/weakRetention/)
+	expect(() => new QuickLRU({ maxWeight: 10, weakRetention: true })).toThrow(
+		/weakRetention/,
+	)
+
+	const lru = new QuickLRU({ maxSize: 1, strict: true, weakRetention: true })
+	const values = [{}, {}, {}]
+	for (const [index, value] of values.entries()) {
+		lru.set(index, value)
+	}
+
+	expect(lru.get(0)).toBeUndefined()
+	expect(lru.get(1)).toBe(values[1])
+})
+
+test('`weakRetention` drops retained values by any iterable of tags', () => {
+	const lru = new QuickLRU({ maxSize: 1, strict: true, weakRetention: 10 })
+	const a = {}
+	const b = {}
+	lru.set('a', a, { tags: ['blocks'] })
+	lru.set('b', b, { tags: ['other'] })
+	lru.set('c', 1)
+	expect(lru.invalidateTags(new Set(['blocks']))).toBe(0)
+	expect(lru.get('a')).toBeUndefined()
+	expect(lru.get('b')).toBe(b)
+})
+
+test('`weakRetention` works with both generations', async () => {
+	const lru = new QuickLRU({ maxSize: 2, weakRetention: 10 })
+	const values = Array.from({ length: 6 }, (_, index) => ({ index }))
+	for (const [index, value] of values.entries()) {
+		lru.set(index, value)
+	}
+
+	expect(lru.has(0)).toBe(false)
+	expect(lru.get(0)).toBe(values[0])
+	expect(await lru.fetch(1, () => ({}))).toBe(values[1])
+	lru.resize(1)
+	expect(lru.get(5)).toBe(values[5])
+})
+
+test('`weakRetention` keeps the expiry of retained values', async () => {
+	const lru = new QuickLRU({ maxSize: 1, strict: true, weakRetention: true })
+	const a = {}
+	const b = {}
+	lru.set('a', a, { maxAge: 30 })
+	lru.set('b', b, { maxAge: 100 })
+	expect(lru.get('a')).toBe(a)
+	const remaining = lru.expiresIn('a')
+	expect(remaining > 0 && remaining <= 30).toBe(true)
+	expect(lru.get('b')).toBe(b)
+	await delay(40)
+	expect(lru.get('a')).toBeUndefined()
+})
+
+test('`weakRetention` only retains evicted objects', () => {
+	const lru = new QuickLRU({ maxSize: 1, strict: true, weakRetention: true })
+	const value = {}
+	lru.set('primitive', 1)
+	lru.set('a', value)
+	expect(lru.get('primitive')).toBeUndefined()
+
+	lru.delete('a')
+	lru.set('b', value)
+	lru.set('c', 1)
+	lru.delete('b')
+	expect(lru.get('b')).toBeUndefined()
+
+	lru.set('d', value)
+	lru.set('e', 1)
+	lru.set('d', 'new')
+	expect(lru.get('d')).toBe('new')
+
+	lru.set('f', value)
+	lru.set('g', 1)
+	lru.clear()
+	expect(lru.get('f')).toBeUndefined()
+
+	lru.set('h', value)
+	expect(lru.evictWhere(item => item === value)).toBe(1)
+	expect(lru.get('h')).toBeUndefined()
+})
+
+test('`weakRetention` does not pass retained values to predicates', () => {
+	const lru = new QuickLRU({ maxSize: 1, strict: true, weakRetention: true })
+	const value = {}
+	lru.set('a', value)
+	lru.set('b', 1)
+	const keys = []
+	expect(
+		lru.deleteWhere((item, key) => {
+			keys.push(key)
+			return true
+		}),
+	).toBe(1)
+	expect(keys).toEqual(['b'])
+	expect(lru.get('a')).toBe(value)
+})
+
+test('without `weakRetention`, evicted values are gone', () => {
+	const lru = new QuickLRU({ maxSize: 1, strict: true })
+	const value = {}
+	lru.set('a', value)
+	lru.set('b', 1)
+	expect(lru.get('a')).toBeUndefined()
+})
+
+test('.peekEntry() returns metadata without touching the item', () => {
+	let time = 1000
+	const lru = new QuickLRU({
+		maxSize: 10,
+		now: () => time,
+		trackStats: true,
+		trackTimes: true,
+	})
+	lru.set('a', 1, { maxIdle: 100 })
+	lru.set('b', 2)
+	time = 1050
+	expect(lru.peekEntry('a')).toEqual({
+		key: 'a',
+		value: 1,
+		expiresAt: 1100,
+		createdAt: 1000,
+		lastAccessedAt: 1000,
+		generation: 'recent',
+	})
+	expect([...lru.keys()]).toEqual(['a', 'b'])
+	expect(lru.stats()).toMatchObject({ hits: 0, misses: 0 })
+	expect(lru.peekEntry('missing')).toBeUndefined()
+	time = 1100
+	expect(lru.peekEntry('a')).toBeUndefined()
+	expect(lru.expiresIn('a')).toBe(0)
+})
+
+test('.getEntry() does not touch the item either', () => {
+	let time = 1000
+	const lru = new QuickLRU({
+		maxSize: 2,
+		now: () => time,
+		trackStats: true,
+		trackTimes: true,
+	})
+	lru.set('a', 1, { maxIdle: 100 })
+	lru.set('b', 2)
+	time = 1050
+	expect(lru.getEntry('a')).toEqual({
+		key: 'a',
+		value: 1,
+		expiresAt: 1100,
+		createdAt: 1000,
+		lastAccessedAt: 1000,
+		generation: 'old',
+	})
+	expect(lru.getEntry('missing')).toBeUndefined()
+	expect(lru.stats()).toMatchObject({ hits: 0, misses: 0 })
+	lru.set('c', 3)
+	lru.set('d', 4)
+	expect(lru.has('a')).toBe(false)
+})
+
+test('.entriesWithMetadata() reports the generation of each item', () => {
+	let time = 0
+	const lru = new QuickLRU({ maxSize: 2, now: () => time, trackTimes: true })
+	lru.set('a', 1, { maxAge: 10 })
+	lru.set('b', 2)
+	lru.set('c', 3)
+	expect([...lru.entriesWithMetadata()]).toEqual([
+		{
+			key: 'a',
+			value: 1,
+			expiresAt: 10,
+			createdAt: 0,
+			lastAccessedAt: 0,
+			generation: 'old',
+		},
+		{
+			key: 'b',
+			value: 2,
+			expiresAt: null,
+			createdAt: 0,
+			lastAccessedAt: 0,
+			generation: 'old',
+		},
+		{
+			key: 'c',
+			value: 3,
+			expiresAt: null,
+			createdAt: 0,
+			lastAccessedAt: 0,
+			generation: 'recent',
+		},
+	])
+	time = 10
+	expect([...lru.entriesWithMetadata()].map(entry => entry.key)).toEqual([
+		'b',
+		'c',
+	])
+	expect(lru.__oldCache.has('a')).toBe(true)
+})
+
+test('times are only recorded with `trackTimes`', () => {
+	const lru = new QuickLRU({ maxSize: 10, now: () => 1000 })
+	lru.set('a', 1)
+	expect(lru.get('a')).toBe(1)
+	expect(lru.peekEntry('a')).toEqual({
+		key: 'a',
+		value: 1,
+		expiresAt: null,
+		createdAt: undefined,
+		lastAccessedAt: undefined,
+		generation: 'recent',
+	})
+	lru.set('b', 2, { maxAge: 100 })
+	expect(lru.peekEntry('b').createdAt).toBeUndefined()
+})
+
+test('inspecting a cache prints a bounded list of items', () => {
+	const lru = new QuickLRU({ maxSize: 100 })
+	expect(inspect(lru)).toBe('QuickLRU(0/100) {}')
+	lru.set('a', { nested: { deep: { deeper: 1 } } })
+	expect(inspect(lru)).toBe(
+		"QuickLRU(1/100) {\n  'a' => { nested: { deep: [Object] } }\n}",
+	)
+	for (let index = 0; index < 20; index++) {
+		lru.set(index, index)
+	}
+
+	const lines = inspect(lru).split('\n')
+	expect(lines).toHaveLength(13)
+	expect(lines[0]).toBe('QuickLRU(21/100) {')
+	expect(lines[11]).toBe('  ... 11 more items')
+	expect(inspect({ lru }, { depth: 0 })).toBe('{ lru: QuickLRU(21/100) }')
+})
+
+test('inspecting a cache counts only the live items it leaves out', async () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	for (let index = 0; index < 14; index++) {
+		lru.set(index, index, { maxAge: index < 12 ? 1000 : 10 })
+	}
+
+	await delay(20)
+	const lines = inspect(lru).split('\n')
+	expect(lines).toHaveLength(13)
+	expect(lines[11]).toBe('  ... 2 more items')
+})
+
+test('.getOrInsert() only sets missing or expired items', async () => {
+	const lru = new QuickLRU({ maxSize: 10, trackStats: true })
+	expect(lru.getOrInsert('a', 1)).toBe(1)
+	expect(lru.getOrInsert('a', 2)).toBe(1)
+	lru.set('b', 3, { maxAge: 10 })
+	await delay(20)
+	expect(lru.getOrInsert('b', 4)).toBe(4)
+	expect(lru.expiresIn('b')).toBe(Number.POSITIVE_INFINITY)
+	expect(lru.stats()).toMatchObject({ hits: 1, misses: 2, expirations: 1 })
+})
+
+test('.getOrInsert() promotes items from the old generation', () => {
+	const lru = new QuickLRU({ maxSize: 2 })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	expect(lru.__oldCache.has('a')).toBe(true)
+	expect(lru.getOrInsert('a', 3)).toBe(1)
+	lru.set('c', 3)
+	expect(lru.has('a')).toBe(true)
+	expect(lru.has('b')).toBe(false)
+})
+
+test('.getOrInsertComputed() does not call the callback for live items', () => {
+	const removed = []
+	const lru = new QuickLRU({
+		maxSize: 10,
+		onRemove(key, value, reason) {
+			removed.push([key, reason])
+		},
+	})
+	const calls = []
+	const compute = key => {
+		calls.push(key)
+		return `${key}!`
+	}
+
+	expect(lru.getOrInsertComputed('a', compute)).toBe('a!')
+	expect(lru.getOrInsertComputed('a', compute)).toBe('a!')
+	expect(calls).toEqual(['a'])
+	expect(removed).toEqual([])
+	expect(() => lru.getOrInsertComputed('b', 'b')).toThrow(/callback/)
+	expect(lru.has('b')).toBe(false)
+})
+
+test('inherited Map methods that are not implemented throw', async () => {
+	Map.prototype.futureMethod = function () {
+		return this.size
+	}
+
+	try {
+		const { default: GuardedLRU } = await import('../src/index.js?guard')
+		const lru = new GuardedLRU({ maxSize: 10 })
+		lru.set('a', 1)
+		expect(() => lru.futureMethod()).toThrow(/futureMethod/)
+	} finally {
+		delete Map.prototype.futureMethod
+	}
+
+	for (const name of Reflect.ownKeys(Map.prototype)) {
+		expect(Object.hasOwn(QuickLRU.prototype, name)).toBe(true)
+	}
+})
@@ -0,0 +1,198 @@
+import { setTimeout as delay } from 'node:timers/promises'
+
+import { expect, test } from 'vitest'
+
+import IntervalCache from '../src/interval.js'
+
+const interval = (refName, start, end) => ({ refName, start, end })
+
+test('throws on keys that are not intervals', () => {
+	const cache = new IntervalCache({ maxSize: 10 })
+	expect(() => cache.set('chr1:0-10', 1)).toThrow(TypeError)
+	expect(() => cache.set(interval('chr1', 10, 0), 1)).toThrow(TypeError)
+	expect(() => cache.set(interval('chr1', 0, Number.NaN), 1)).toThrow(TypeError)
+})
+
+test('equal intervals refer to the same item', () => {
+	const cache = new IntervalCache({ maxSize: 10 })
+	cache.set(interval('chr1', 0, 100), 'a')
+	expect(cache.get(interval('chr1', 0, 100))).toBe('a')
+	cache.set(interval('chr1', 0, 100), 'b')
+	expect(cache.size).toBe(1)
+	expect(cache.getOverlapping('chr1', 50, 60)).toEqual([
+		[interval('chr1', 0, 100), 'b'],
+	])
+})
+
+test('getContaining() finds the blocks covering a range', () => {
+	const cache = new IntervalCache({ maxSize: 10 })
+	cache.set(interval('chr1', 500, 5000), 'large')
+	cache.set(interval('chr1', 900, 1500), 'partial')
+	cache.set(interval('chr1', 1000, 2000), 'exact')
+	cache.set(interval('chr2', 0, 10_000), 'other reference')
+	expect(cache.getContaining('chr1', 1000, 2000)).toEqual([
+		[interval('chr1', 500, 5000), 'large'],
+		[interval('chr1', 1000, 2000), 'exact'],
+	])
+	expect(cache.getContaining('chr1', 0, 2000)).toEqual([])
+	expect(cache.getContaining('chr3', 0, 1)).toEqual([])
+})
+
+test('getOverlapping() treats intervals as half-open', () => {
+	const cache = new IntervalCache({ maxSize: 10 })
+	cache.set(interval('chr1', 0, 100), 'a')
+	cache.set(interval('chr1', 100, 200), 'b')
+	cache.set(interval('chr1', 150, 160), 'c')
+	cache.set(interval('chr1', 300, 400), 'd')
+	expect(
+		cache.getOverlapping('chr1', 99, 151).map(([, value]) => value),
+	).toEqual(['a', 'b', 'c'])
+	expect(
+		cache.getOverlapping('chr1', 100, 150).map(([, value]) => value),
+	).toEqual(['b'])
+	expect(cache.getOverlapping('chr1', 200, 300)).toEqual([])
+})
+
+test('long intervals are found from far away', () => {
+	const cache = new IntervalCache({ maxSize: 100 })
+	cache.set(interval('chr1', 0, 1_000_000), 'chromosome')
+	for (let i = 0; i < 50; i++) {
+		cache.set(interval('chr1', i * 1000, i * 1000 + 10), i)
+	}
+
+	expect(cache.getContaining('chr1', 900_000, 900_001)).toEqual([
+		[interval('chr1', 0, 1_000_000), 'chromosome'],
+	])
+})
+
+test('lookups count as reads for eviction', () => {
+	const evicted = []
+	const cache = new IntervalCache({
+		maxSize: 2,
+		strict: true,
+		onEviction: key => evicted.push(key),
+	})
+	cache.set(interval('chr1', 0, 100), 'a')
+	cache.set(interval('chr1', 100, 200), 'b')
+	cache.getContaining('chr1', 10, 20)
+	cache.set(interval('chr1', 200, 300), 'c')
+	expect(evicted).toEqual([interval('chr1', 100, 200)])
+	expect(
+		cache.getOverlapping('chr1', 0, 1000).map(([, value]) => value),
+	).toEqual(['a', 'c'])
+})
+
+test('evicted, deleted and cleared items leave the index', () => {
+	const removed = []
+	const cache = new IntervalCache({
+		maxSize: 2,
+		onRemove: (key, value, reason) => removed.push([value, reason]),
+	})
+	cache.set(interval('chr1', 0, 100), 'a')
+	cache.set(interval('chr1', 0, 100), 'a2')
+	cache.set(interval('chr1', 50, 150), 'b')
+	cache.set(interval('chr1', 60, 160), 'c')
+	cache.set(interval('chr1', 70, 170), 'd')
+	expect(
+		cache.getOverlapping('chr1', 0, 1000).map(([, value]) => value),
+	).toEqual(['c', 'd'])
+	cache.delete(interval('chr1', 60, 160))
+	expect(
+		cache.getOverlapping('chr1', 0, 1000).map(([, value]) => value),
+	).toEqual(['d'])
+	cache.clear()
+	expect(cache.getOverlapping('chr1', 0, 1000)).toEqual([])
+	expect(removed).toEqual([
+		['a', 'overwrite'],
+		['a2', 'evict'],
+		['b', 'evict'],
+		['c', 'delete'],
+		['d', 'clear'],
+	])
+})
+
+test('expired items are left out', async () => {
+	const cache = new IntervalCache({ maxSize: 10, maxAge: 10 })
+	cache.set(interval('chr1', 0, 100), 'a')
+	cache.set(interval('chr1', 0, 50), 'b', { maxAge: 1000 })
+	await delay(20)
+	expect(cache.getOverlapping('chr1', 0, 100)).toEqual([
+		[interval('chr1', 0, 50), 'b'],
+	])
+	cache.purgeStale()
+	cache.set(interval('chr1', 0, 100), 'c')
+	expect(cache.getContaining('chr1', 10, 20).map(([, value]) => value)).toEqual(
+		['b', 'c'],
+	)
+})
+
+test('items heavier than maxWeight are not indexed', () => {
+	const cache = new IntervalCache({
+		maxWeight: 10,
+		sizeCalculation: value => value.length,
+	})
+	cache.set(interval('chr1', 0, 100), 'small')
+	cache.set(interval('chr1', 0, 100), 'far too large')
+	expect(cache.getOverlapping('chr1', 0, 100)).toEqual([])
+	cache.set(interval('chr1', 0, 100), 'small')
+	expect(cache.getOverlapping('chr1', 0, 100)).toHaveLength(1)
+})
+
+test('dump() and load() round-trip the index', () => {
+	const cache = new IntervalCache({ maxSize: 10 })
+	cache.set(interval('chr1', 0, 100), 'a')
+	const restored = new IntervalCache({ maxSize: 10 })
+	const json = JSON.stringify(cache.dump())
+	restored.load(JSON.parse(json))
+	expect(restored.getContaining('chr1', 10, 20)).toEqual([
+		[interval('chr1', 0, 100), 'a'],
+	])
+})
+
+test('the index stays correct as intervals come and go', () => {
+	const cache = new IntervalCache({ maxSize: 1000 })
+	const keys = []
+	for (let i = 0; i < 300; i++) {
+		// Spread out, with some long intervals in between.
+		const start = (i * 7919) % 10_000
+		const key = interval('chr1', start, start + (i % 10 === 0 ? 5000 : i % 50))
+		keys.push(key)
+		cache.set(key, i)
+	}
+
+	for (const key of keys.filter((key, i) => i % 3 === 0)) {
+		cache.delete(key)
+	}
+
+	const overlapping = (start, end) =>
+		[...cache.keys()]
+			.filter(key => key.start < end && start < key.end)
+			.sort((a, b) => a.start - b.start || a.end - b.end)
+	for (const [start, end] of [
+		[0, 10],
+		[2500, 2600],
+		[9000, 9001],
+		[9999, 20_000],
+		[12_000, 13_000],
+	]) {
+		expect(
+			cache.getOverlapping('chr1', start, end).map(([key]) => key),
+		).toEqual(overlapping(start, end))
+	}
+})
+
+test('values brought back by weakRetention are indexed again', () => {
+	const cache = new IntervalCache({
+		maxSize: 1,
+		strict: true,
+		weakRetention: true,
+	})
+	const block = { name: 'block' }
+	cache.set(interval('chr1', 0, 100), block)
+	cache.set(interval('chr1', 200, 300), {})
+	expect(cache.getOverlapping('chr1', 0, 50)).toEqual([])
+	expect(cache.get(interval('chr1', 0, 100))).toBe(block)
+	expect(cache.getOverlapping('chr1', 0, 50)).toEqual([
+		[interval('chr1', 0, 100), block],
+	])
+})
@@ -0,0 +1,161 @@
+import { setTimeout as delay } from 'node:timers/promises'
+
+import { expect, test } from 'vitest'
+
+import QuickLRU from '../src/index.js'
+import MemoryPressureController from '../src/memory-pressure.js'
+
+const fill = (cache, count) => {
+	for (let index = 0; index < count; index++) {
+		cache.set(index, index)
+	}
+}
+
+test('throws on invalid options', () => {
+	const cache = new QuickLRU({ maxSize: 10 })
+	expect(() => {
+		new MemoryPressureController({}, { highWaterMark: 1 })
+	}).toThrow(/cache/)
+	expect(() => {
+		new MemoryPressureController(new QuickLRU({ maxSize: Infinity }), {
+			highWaterMark: 1,
+		})
+	}).toThrow(/maxSize/)
+	expect(() => {
+		new MemoryPressureController(cache, {})
+	}).toThrow(/highWaterMark/)
+	expect(() => {
+		new MemoryPressureController(cache, { highWaterMark: 10, lowWaterMark: 20 })
+	}).toThrow(/lowWaterMark/)
+	expect(() => {
+		new MemoryPressureController(cache, { highWaterMark: 10, minSize: 20 })
+	}).toThrow(/minSize/)
+	expect(() => {
+		new MemoryPressureController(cache, { highWaterMark: 10, shrinkFactor: 1 })
+	}).toThrow(/shrinkFactor/)
+	expect(() => {
+		new MemoryPressureController(cache, { highWaterMark: 10, probe: 1 })
+	}).toThrow(/probe/)
+	expect(() => {
+		new MemoryPressureController(cache, { highWaterMark: 10, interval: 0 })
+	}).toThrow(/interval/)
+})
+
+test('shrinks the cache down to the floor under pressure', async () => {
+	const removed = []
+	const cache = new QuickLRU({
+		maxSize: 100,
+		onEviction(key, value, reason) {
+			removed.push(reason)
+		},
+	})
+	fill(cache, 100)
+	const controller = new MemoryPressureController(cache, {
+		probe: () => 100,
+		highWaterMark: 100,
+		minSize: 20,
+	})
+	expect(await controller.check()).toBe(50)
+	expect(cache.maxSize).toBe(50)
+	expect(cache.size).toBe(50)
+	expect(cache.has(99)).toBe(true)
+	expect(cache.has(0)).toBe(false)
+	expect(await controller.check()).toBe(25)
+	expect(await controller.check()).toBe(20)
+	expect(await controller.check()).toBe(20)
+	expect(cache.size).toBe(20)
+	expect(removed).toHaveLength(80)
+	expect(new Set(removed)).toEqual(new Set(['resize']))
+})
+
+test('grows the cache back to its configured size once pressure eases', async () => {
+	let usage = 100
+	const resizes = []
+	const cache = new QuickLRU({ maxSize: 100 })
+	const controller = new MemoryPressureController(cache, {
+		probe: async () => usage,
+		highWaterMark: 100,
+		lowWaterMark: 50,
+		minSize: 10,
+		onResize(newSize) {
+			resizes.push(newSize)
+		},
+	})
+	await controller.check()
+	await controller.check()
+	expect(cache.maxSize).toBe(25)
+
+	// Between the two marks, the size is kept.
+	usage = 75
+	expect(await controller.check()).toBe(25)
+
+	usage = 10
+	expect(await controller.check()).toBe(50)
+	expect(await controller.check()).toBe(100)
+	expect(await controller.check()).toBe(100)
+	expect(controller.maxSize).toBe(100)
+	expect(resizes).toEqual([50, 25, 50, 100])
+	fill(cache, 100)
+	expect(cache.size).toBe(100)
+})
+
+test('overlapping checks share one probe', async () => {
+	let probes = 0
+	const cache = new QuickLRU({ maxSize: 100 })
+	const controller = new MemoryPressureController(cache, {
+		async probe() {
+			probes++
+			await delay(10)
+			return 100
+		},
+		highWaterMark: 100,
+	})
+	const results = await Promise.all([controller.check(), controller.check()])
+	expect(results).toEqual([50, 50])
+	expect(probes).toBe(1)
+	expect(cache.maxSize).toBe(50)
+})
+
+test('checks on an interval until closed', async () => {
+	const errors = []
+	let usage = 100
+	let failing = false
+	const cache = new QuickLRU({ maxSize: 100 })
+	const controller = new MemoryPressureController(cache, {
+		probe() {
+			if (failing) {
+				throw new Error('probe failed')
+			}
+
+			return usage
+		},
+		highWaterMark: 100,
+		minSize: 50,
+		interval: 10,
+		onError(error) {
+			errors.push(error.message)
+		},
+	})
+	await delay(50)
+	expect(cache.maxSize).toBe(50)
+	failing = true
+	await delay(30)
+	expect(errors.length > 0).toBe(true)
+	expect(errors[0]).toBe('probe failed')
+	controller.close()
+	failing = false
+	usage = 0
+	await delay(30)
+	expect(cache.maxSize).toBe(50)
+})
+
+test('reads the heap usage by default', async () => {
+	const cache = new QuickLRU({ maxSize: 100 })
+	const controller = new MemoryPressureController(cache, {
+		highWaterMark: Number.MAX_SAFE_INTEGER,
+		lowWaterMark: 0,
+	})
+	expect(await controller.check()).toBe(100)
+	const pressured = new MemoryPressureController(cache, { highWaterMark: 1 })
+	expect(await pressured.check()).toBe(50)
+})
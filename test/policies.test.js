@@ -0,0 +1,213 @@
+import { expect, test } from 'vitest'
+
+import QuickLRU from '../src/index.js'
+
+function scan(lru, count, prefix = 'scan') {
+	for (let i = 0; i < count; i++) {
+		lru.set(`${prefix}${i}`, i)
+	}
+}
+
+test('throws on an unknown policy', () => {
+	expect(() => {
+		new QuickLRU({ maxSize: 10, policy: 'fifo' })
+	}).toThrow(/policy/)
+	expect(() => {
+		new QuickLRU({ maxWeight: 10, policy: 'tinylfu' })
+	}).toThrow(/maxSize/)
+})
+
+test('defaults to the two-generation LRU', () => {
+	const lru = new QuickLRU({ maxSize: 10 })
+	expect(lru.policy).toBe('lru')
+	expect(lru.strict).toBe(false)
+	expect(new QuickLRU({ maxSize: 10, policy: 'lru' }).strict).toBe(false)
+})
+
+test('policies imply strict mode', () => {
+	for (const policy of ['slru', 'lfu', 'tinylfu']) {
+		const lru = new QuickLRU({ maxSize: 5, policy })
+		expect(lru.policy).toBe(policy)
+		expect(lru.strict).toBe(true)
+		scan(lru, 20)
+		expect(lru.size).toBe(5)
+		expect([...lru.keys()]).toHaveLength(5)
+	}
+})
+
+test('slru: items read again survive a scan', () => {
+	const evictions = []
+	const lru = new QuickLRU({
+		maxSize: 10,
+		policy: 'slru',
+		onEviction: (key, value, reason) => evictions.push([key, reason]),
+	})
+	for (const key of ['a', 'b', 'c']) {
+		lru.set(key, key)
+		lru.get(key)
+	}
+
+	scan(lru, 50)
+	expect(lru.has('a')).toBe(true)
+	expect(lru.has('b')).toBe(true)
+	expect(lru.has('c')).toBe(true)
+	expect(lru.size).toBe(10)
+	expect(evictions).toHaveLength(43)
+	expect(evictions.every(([, reason]) => reason === 'evict')).toBe(true)
+})
+
+test('slru: the protected segment is bounded', () => {
+	const lru = new QuickLRU({ maxSize: 5, policy: 'slru' })
+	for (let i = 0; i < 5; i++) {
+		lru.set(i, i)
+		lru.get(i)
+	}
+
+	// Only 4 items fit in the protected segment, so 0 was demoted to probation.
+	lru.set('new', 'new')
+	expect(lru.has(0)).toBe(false)
+	expect([...lru.keys()]).toEqual([1, 2, 3, 4, 'new'])
+})
+
+test('lfu: evicts the least frequently used item', () => {
+	const lru = new QuickLRU({ maxSize: 3, policy: 'lfu' })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 3)
+	lru.get('a')
+	lru.get('a')
+	lru.get('c')
+	lru.set('d', 4)
+	expect(lru.has('b')).toBe(false)
+	lru.set('e', 5)
+	expect(lru.has('d')).toBe(false)
+	expect([...lru.keys()].sort()).toEqual(['a', 'c', 'e'])
+})
+
+test('lfu: breaks ties by recency', () => {
+	const lru = new QuickLRU({ maxSize: 3, policy: 'lfu' })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('c', 3)
+	lru.get('c')
+	lru.get('b')
+	lru.get('a')
+	lru.set('d', 4)
+	lru.evict()
+	expect([...lru.keys()].sort()).toEqual(['a', 'b'])
+})
+
+test('lfu: popular items age out', () => {
+	const lru = new QuickLRU({ maxSize: 3, policy: 'lfu' })
+	lru.set('popular', true)
+	for (let i = 0; i < 30; i++) {
+		lru.get('popular')
+	}
+
+	for (let i = 0; i < 2000 && lru.has('popular'); i++) {
+		lru.set(i, i)
+		lru.get(i)
+	}
+
+	expect(lru.has('popular')).toBe(false)
+})
+
+test('tinylfu: frequently read items survive a scan', () => {
+	const lru = new QuickLRU({ maxSize: 100, policy: 'tinylfu' })
+	for (let round = 0; round < 5; round++) {
+		for (let i = 0; i < 50; i++) {
+			if (!lru.has(i)) {
+				lru.set(i, i)
+			}
+
+			lru.get(i)
+		}
+	}
+
+	scan(lru, 1000)
+	let survivors = 0
+	for (let i = 0; i < 50; i++) {
+		if (lru.has(i)) {
+			survivors++
+		}
+	}
+
+	// The sketch only estimates frequencies, so an unlucky collision may cost an item.
+	expect(survivors >= 45).toBe(true)
+	expect(lru.size).toBe(100)
+})
+
+test('tinylfu: rejected items are reported as evicted', () => {
+	const evictions = []
+	const lru = new QuickLRU({
+		maxSize: 3,
+		policy: 'tinylfu',
+		onEviction: key => evictions.push(key),
+	})
+	for (const key of ['a', 'b']) {
+		lru.set(key, key)
+		lru.get(key)
+		lru.get(key)
+	}
+
+	// New items pass through a one-item window before they are compared.
+	for (const key of ['c', 'd', 'e', 'f']) {
+		lru.set(key, key)
+	}
+
+	expect(evictions).toEqual(['c', 'd', 'e'])
+	expect([...lru.keys()]).toEqual(['a', 'b', 'f'])
+})
+
+test('tinylfu: supports object keys', () => {
+	const lru = new QuickLRU({ maxSize: 10, policy: 'tinylfu' })
+	const keys = Array.from({ length: 20 }, (_, id) => ({ id }))
+	for (const key of keys) {
+		lru.set(key, key.id)
+	}
+
+	expect(lru.size).toBe(10)
+	expect([...lru.values()].every(value => typeof value === 'number')).toBe(true)
+})
+
+test('policies work with delete, clear, evict and resize', () => {
+	for (const policy of ['slru', 'lfu', 'tinylfu']) {
+		const evictions = []
+		const lru = new QuickLRU({
+			maxSize: 10,
+			policy,
+			onEviction: (key, value, reason) => evictions.push(reason),
+		})
+		scan(lru, 10)
+		lru.delete('scan0')
+		expect(lru.size).toBe(9)
+		lru.evict(2)
+		expect(lru.size).toBe(7)
+		lru.resize(4)
+		expect(lru.size).toBe(4)
+		expect(evictions).toEqual(['evict', 'evict', 'resize', 'resize', 'resize'])
+		scan(lru, 10, 'more')
+		expect(lru.size).toBe(4)
+		lru.clear()
+		expect(lru.size).toBe(0)
+		scan(lru, 10)
+		expect(lru.size).toBe(4)
+	}
+})
+
+test('policies work with maxWeight', () => {
+	for (const policy of ['slru', 'lfu', 'tinylfu']) {
+		const lru = new QuickLRU({
+			maxSize: 10,
+			maxWeight: 10,
+			policy,
+			sizeCalculation: value => value,
+		})
+		lru.set('a', 4)
+		lru.get('a')
+		lru.set('b', 4)
+		lru.set('c', 4)
+		expect(lru.weight <= 10).toBe(true)
+		expect(lru.size).toBe(2)
+	}
+})
@@ -0,0 +1,203 @@
+import { setTimeout as delay } from 'node:timers/promises'
+
+import { expect, test } from 'vitest'
+
+import QuickLRU from '../src/index.js'
+import MemoryStore from '../src/memory-store.js'
+import TieredCache from '../src/tiered.js'
+
+test('throws on invalid options', () => {
+	expect(() => {
+		new TieredCache({ l2: new QuickLRU({ maxSize: 10 }) })
+	}).toThrow(/l1/)
+	expect(() => {
+		new TieredCache({ l1: { maxSize: 2 }, l2: {} })
+	}).toThrow(/l2/)
+})
+
+test('evicted items are demoted into L2', async () => {
+	const cache = new TieredCache({
+		l1: { maxSize: 1 },
+		l2: new QuickLRU({ maxSize: 10 }),
+	})
+	await cache.set('a', 1)
+	await cache.set('b', 2)
+	expect(cache.l1.has('a')).toBe(false)
+	expect(cache.l2.peek('a')).toBe(1)
+	expect(await cache.has('a')).toBe(true)
+	expect(await cache.peek('a')).toBe(1)
+	expect(cache.l1.has('a')).toBe(false)
+})
+
+test('L2 hits are promoted into L1', async () => {
+	const cache = new TieredCache({
+		l1: { maxSize: 1 },
+		l2: new QuickLRU({ maxSize: 10 }),
+	})
+	await cache.set('a', 1)
+	await cache.set('b', 2)
+	expect(await cache.get('a')).toBe(1)
+	expect(cache.l1.peek('a')).toBe(1)
+	expect(cache.l2.has('a')).toBe(false)
+	expect(await cache.get('missing')).toBe(undefined)
+})
+
+test('expired items are not demoted and expiry survives demotion', async () => {
+	const cache = new TieredCache({
+		l1: { maxSize: 1 },
+		l2: new QuickLRU({ maxSize: 10 }),
+	})
+	await cache.set('a', 1, { maxAge: 1000 })
+	await cache.set('b', 2, { maxAge: 20 })
+	expect(cache.l2.expiresIn('a') > 900).toBe(true)
+	await delay(30)
+	await cache.set('c', 3)
+	expect(cache.l2.has('b')).toBe(false)
+	expect(await cache.get('a')).toBe(1)
+	expect(cache.l1.expiresIn('a') > 900).toBe(true)
+})
+
+test('set() and delete() keep the tiers exclusive', async () => {
+	const cache = new TieredCache({
+		l1: { maxSize: 1 },
+		l2: new QuickLRU({ maxSize: 10 }),
+	})
+	await cache.set('a', 1)
+	await cache.set('b', 2)
+	await cache.set('a', 3)
+	expect(cache.l2.has('a')).toBe(false)
+	expect(await cache.delete('b')).toBe(true)
+	expect(await cache.delete('b')).toBe(false)
+	expect(await cache.has('b')).toBe(false)
+	await cache.clear()
+	expect(await cache.has('a')).toBe(false)
+})
+
+test('each read counts as one lookup per tier', async () => {
+	const cache = new TieredCache({
+		l1: { maxSize: 1, trackStats: true },
+		l2: new QuickLRU({ maxSize: 10, trackStats: true }),
+	})
+	await cache.set('a', 1)
+	await cache.set('b', 2)
+	expect(await cache.get('b')).toBe(2)
+	expect(await cache.get('a')).toBe(1)
+	expect(await cache.peek('b')).toBe(2)
+	expect(await cache.has('missing')).toBe(false)
+	expect(cache.l1.stats()).toMatchObject({ hits: 1, misses: 3 })
+	expect(cache.l2.stats()).toMatchObject({ hits: 2, misses: 1 })
+})
+
+test('calls the L1 onRemove option', async () => {
+	const removed = []
+	const cache = new TieredCache({
+		l1: {
+			maxSize: 1,
+			onRemove(key, value, reason) {
+				removed.push([key, reason])
+			},
+		},
+		l2: new QuickLRU({ maxSize: 10 }),
+	})
+	await cache.set('a', 1)
+	await cache.set('b', 2)
+	expect(removed).toEqual([['a', 'evict']])
+})
+
+test('works with a store as L2', async () => {
+	const store = new MemoryStore()
+	const cache = new TieredCache({
+		l1: { maxSize: 1 },
+		l2: store,
+		serialize: value => [...value],
+		deserialize: value => new Set(value),
+	})
+	await cache.set('a', new Set([1]))
+	await cache.set('b', new Set([2]))
+	expect(await cache.peek('a')).toEqual(new Set([1]))
+	expect(await store.get('a')).toEqual({ value: [1], expiresAt: null })
+	expect(await cache.get('a')).toEqual(new Set([1]))
+	expect(await store.get('a')).toBe(undefined)
+	expect(await store.get('b')).toEqual({ value: [2], expiresAt: null })
+	expect(await cache.delete('b')).toBe(true)
+	expect(await cache.has('b')).toBe(false)
+	await cache.clear()
+	expect(await store.keys()).toEqual([])
+})
+
+test('reads from a store wait for pending demotions', async () => {
+	const store = new MemoryStore()
+	const set = store.set.bind(store)
+	store.set = async (key, value) => {
+		await delay(10)
+		await set(key, value)
+	}
+
+	const cache = new TieredCache({ l1: { maxSize: 1 }, l2: store })
+	await cache.set('a', 1)
+	await cache.set('b', 2)
+	expect(await cache.get('a')).toBe(1)
+})
+
+test('expired store records are dropped', async () => {
+	const store = new MemoryStore()
+	const cache = new TieredCache({ l1: { maxSize: 1 }, l2: store })
+	await store.set('a', { value: 1, expiresAt: Date.now() - 1000 })
+	expect(await cache.get('a')).toBe(undefined)
+	expect(await store.keys()).toEqual([])
+})
+
+test('set() only deletes from a store what may be stored there', async () => {
+	const store = new MemoryStore()
+	await store.set('old', { value: 0, expiresAt: null })
+	const calls = []
+	for (const method of ['get', 'set', 'delete', 'keys']) {
+		const original = store[method].bind(store)
+		store[method] = (...arguments_) => {
+			calls.push([method, ...arguments_.slice(0, 1)])
+			return original(...arguments_)
+		}
+	}
+
+	const cache = new TieredCache({ l1: { maxSize: 1 }, l2: store })
+	await cache.set('a', 1)
+	await cache.set('a', 2)
+	expect(calls).toEqual([['keys']])
+
+	calls.length = 0
+	await cache.set('old', 3)
+	await cache.set('b', 4)
+	expect(calls).toEqual([
+		['set', 'a'],
+		['delete', 'old'],
+		['set', 'old'],
+	])
+	expect(await store.get('old')).toEqual({ value: 3, expiresAt: null })
+
+	calls.length = 0
+	await cache.set('old', 5)
+	expect(calls).toEqual([
+		['set', 'b'],
+		['delete', 'old'],
+	])
+	expect(await cache.peek('old')).toBe(5)
+	expect(await store.keys()).toEqual(['a', 'b'])
+})
+
+test('a key demoted while set() or get() waits on the store keeps its record', async () => {
+	const store = new MemoryStore()
+	const cache = new TieredCache({ l1: { maxSize: 1, strict: true }, l2: store })
+	await cache.set('old', 0)
+	await cache.set('other', 0)
+	const setting = cache.set('old', 1)
+	cache.l1.set('b', 2)
+	await setting
+	expect(await cache.get('old')).toBe(1)
+
+	await cache.set('c', 3)
+	const getting = cache.get('old')
+	cache.l1.set('old', 4)
+	cache.l1.set('d', 5)
+	expect(await getting).toBe(4)
+	expect(await cache.get('old')).toBe(4)
+})
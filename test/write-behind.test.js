@@ -0,0 +1,225 @@
+import { setTimeout as delay } from 'node:timers/promises'
+
+import { expect, test } from 'vitest'
+
+import MemoryStore from '../src/memory-store.js'
+import WriteBehindLRU from '../src/write-behind.js'
+
+const storedEntries = async store => {
+	const keys = await store.keys()
+	const entries = await Promise.all(
+		keys.map(async key => [key, (await store.get(key)).value]),
+	)
+	return entries.sort()
+}
+
+test('throws on invalid options', () => {
+	expect(() => {
+		new WriteBehindLRU({ maxSize: 10 })
+	}).toThrow(/store/)
+	expect(() => {
+		new WriteBehindLRU({ maxSize: 10, store: new MemoryStore(), batchSize: 0 })
+	}).toThrow(/batchSize/)
+	expect(() => {
+		new WriteBehindLRU({
+			maxSize: 10,
+			store: new MemoryStore(),
+			flushInterval: -1,
+		})
+	}).toThrow(/flushInterval/)
+})
+
+test('.set() is only written to the store on flush()', async () => {
+	const store = new MemoryStore()
+	const lru = new WriteBehindLRU({ maxSize: 10, store })
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.set('a', 3)
+	expect(lru.dirtySize).toBe(2)
+	expect(await store.keys()).toEqual([])
+	await lru.flush()
+	expect(lru.dirtySize).toBe(0)
+	expect(await storedEntries(store)).toEqual([
+		['a', 3],
+		['b', 2],
+	])
+})
+
+test('stores expiry times', async () => {
+	const store = new MemoryStore()
+	const lru = new WriteBehindLRU({ maxSize: 10, store })
+	lru.set('a', 1, { maxAge: 1000 })
+	lru.set('b', 2)
+	await lru.flush()
+	const { expiresAt } = await store.get('a')
+	expect(expiresAt > Date.now() + 900).toBe(true)
+	expect(await store.get('b')).toEqual({ value: 2, expiresAt: null })
+})
+
+test('flush() does not count as lookups', async () => {
+	const lru = new WriteBehindLRU({
+		maxSize: 10,
+		store: new MemoryStore(),
+		trackStats: true,
+	})
+	lru.set('a', 1)
+	lru.set('b', 2)
+	lru.delete('b')
+	await lru.flush()
+	expect(lru.stats()).toMatchObject({ hits: 0, misses: 0 })
+})
+
+test('evicted, expired, deleted and cleared items are removed from the store', async () => {
+	const store = new MemoryStore()
+	const lru = new WriteBehindLRU({ maxSize: 2, store })
+	lru.set('evicted', 1)
+	lru.set('expired', 2, { maxAge: 20 })
+	lru.set('deleted', 3)
+	lru.set('kept', 4)
+	await lru.flush()
+	lru.set('new', 5)
+	lru.delete('deleted')
+	await delay(30)
+	lru.purgeStale()
+	await lru.flush()
+	expect(await storedEntries(store)).toEqual([
+		['kept', 4],
+		['new', 5],
+	])
+
+	lru.clear()
+	await lru.flush()
+	expect(await store.keys()).toEqual([])
+})
+
+test('values brought back by weakRetention are written again', async () => {
+	const store = new MemoryStore()
+	const lru = new WriteBehindLRU({
+		maxSize: 1,
+		strict: true,
+		weakRetention: true,
+		store,
+	})
+	const value = { name: 'a' }
+	lru.set('a', value)
+	lru.set('b', {})
+	await lru.flush()
+	expect(await store.keys()).toEqual(['b'])
+	expect(lru.get('a')).toBe(value)
+	await lru.flush()
+	expect(await storedEntries(store)).toEqual([['a', value]])
+})
+
+test('still calls the onRemove option', async () => {
+	const removed = []
+	const lru = new WriteBehindLRU({
+		maxSize: 10,
+		store: new MemoryStore(),
+		onRemove(key, value, reason) {
+			removed.push([key, value, reason])
+		},
+	})
+	lru.set('a', 1)
+	lru.delete('a')
+	expect(removed).toEqual([['a', 1, 'delete']])
+})
+
+test('flushes in batches', async () => {
+	let running = 0
+	let maxRunning = 0
+	const store = new MemoryStore()
+	const set = store.set.bind(store)
+	store.set = async (key, value) => {
+		running++
+		maxRunning = Math.max(maxRunning, running)
+		await delay(1)
+		await set(key, value)
+		running--
+	}
+
+	const lru = new WriteBehindLRU({ maxSize: 100, store, batchSize: 3 })
+	for (let i = 0; i < 10; i++) {
+		lru.set(i, i)
+	}
+
+	await lru.flush()
+	expect(maxRunning).toBe(3)
+	expect((await store.keys()).length).toBe(10)
+})
+
+test('flushes on an interval', async () => {
+	const store = new MemoryStore()
+	const lru = new WriteBehindLRU({ maxSize: 10, store, flushInterval: 10 })
+	lru.set('a', 1)
+	await delay(50)
+	expect(await store.get('a')).toEqual({ value: 1, expiresAt: null })
+	await lru.close()
+})
+
+test('failed writes are retried by the next flush', async () => {
+	const store = new MemoryStore()
+	const set = store.set.bind(store)
+	let failures = 1
+	store.set = async (key, value) => {
+		if (failures > 0) {
+			failures--
+			throw new Error('disk full')
+		}
+
+		await set(key, value)
+	}
+
+	const lru = new WriteBehindLRU({ maxSize: 10, store })
+	lru.set('a', 1)
+	await expect(lru.flush()).rejects.toThrow('disk full')
+	expect(lru.dirtySize).toBe(1)
+	await lru.flush()
+	expect(await store.get('a')).toEqual({ value: 1, expiresAt: null })
+})
+
+test('reports interval flush failures to onFlushError', async () => {
+	const store = new MemoryStore()
+	const set = store.set.bind(store)
+	store.set = async () => {
+		throw new Error('disk full')
+	}
+
+	const errors = []
+	const lru = new WriteBehindLRU({
+		maxSize: 10,
+		store,
+		flushInterval: 10,
+		onFlushError(error) {
+			errors.push(error.message)
+		},
+	})
+	lru.set('a', 1)
+	await delay(50)
+	expect(errors.length > 0).toBe(true)
+	expect(errors[0]).toBe('disk full')
+	store.set = set
+	await lru.close()
+})
+
+test('.restore() loads the store and skips expired records', async () => {
+	const store = new MemoryStore()
+	const options = {
+		maxSize: 10,
+		store,
+		serialize: value => [...value],
+		deserialize: value => new Set(value),
+	}
+	const lru = new WriteBehindLRU(options)
+	lru.set('a', new Set([1]))
+	lru.set('b', new Set([2]), { maxAge: 1000 })
+	await lru.flush()
+	await store.set('expired', { value: [3], expiresAt: Date.now() - 1000 })
+
+	const restored = await new WriteBehindLRU(options).restore()
+	expect(restored.get('a')).toEqual(new Set([1]))
+	expect(restored.expiresIn('b') > 900).toBe(true)
+	expect(restored.has('expired')).toBe(false)
+	expect(restored.dirtySize).toBe(1)
+	await restored.flush()
+	expect((await store.keys()).sort()).toEqual(['a', 'b'])
+})